@@ -5,22 +5,23 @@
 // @description  Automates NeggSweeper gameplay.
 // @author       @willnjohnson
 // @match        *://www.neopets.com/games/neggsweeper/neggsweeper.phtml*
-// @grant        none
+// @require      https://raw.githubusercontent.com/willnjohnson/NeggSweeperHelper/main/neggsweeper_core.js
+// @grant        GM_getValue
+// @grant        GM_setValue
 // ==/UserScript==
 
 (function() {
     'use strict';
 
+    const { DEFAULT_STRATEGIES, OVERLAY_THEMES, PAGE_STATES, classifyPage, NeggSweeperOverlay, NeggSweeperGrid, NeggSweeperBoardWatcher, NeggSweeperSolver } = NeggSweeperCore; // Shared page classifier, parser, board watcher, solver and overlay, see neggsweeper_core.js
+
     // console.log("NeggSweeper Autosolver: Script loaded.");
 
     // --- Configuration Variables ---
-    const MIN_RETRY_DELAY_MS = 1000; // Minimum delay for retrying board parsing or re-evaluating state
-    const MAX_RETRY_DELAY_MS = 2000; // Maximum delay for retrying
-    const MIN_ACTION_DELAY_MS = 200; // Minimum delay before making a move
-    const MAX_ACTION_DELAY_MS = 1000; // Maximum delay before making a move
-    const GAME_OVER_RESTART_DELAY_MS = 2500; // Delay before restarting after win/lose screen (e.g., 2.5 seconds)
+    // Delays, flagging and difficulty are user settings, see DEFAULT_SETTINGS and the settings panel
     const GAME_URL = "https://www.neopets.com/games/neggsweeper/neggsweeper.phtml";
-    const DIFFICULTY = "3" // Hard
+    const GAME_LEVELS = { 1: 'Easy', 2: 'Medium', 3: 'Hard' }; // game_level values offered on the difficulty form
+    const MAINTENANCE_RETRY_DELAY_MS = 5 * 60 * 1000; // How long to wait before checking whether maintenance is over
 
     /**
      * Generates a random integer delay between min and max (inclusive).
@@ -32,408 +33,619 @@
         return Math.floor(Math.random() * (max - min + 1)) + min;
     }
 
+    // --- Persistent Settings ---
+    const STORAGE_KEYS = {
+        SETTINGS: 'settings', // User choices, see DEFAULT_SETTINGS
+        SESSION: 'session', // Progress of the current autoplay session
+        RUN_STATE: 'runState', // Whether the automation is running, paused or stopped, see RUN_STATES
+        HISTORY: 'history', // Finished games, see DEFAULT_HISTORY
+        CURRENT_GAME: 'currentGame', // The game in progress, kept apart so moves do not rewrite the history, see DEFAULT_CURRENT_GAME
+        DIAGNOSTICS: 'diagnostics', // Parser report of the last board that could not be read, see _stopForUnreadableBoard
+    };
+
+    const RUN_STATES = {
+        RUNNING: 'running', // Playing and starting new games
+        PAUSED: 'paused', // Doing nothing until resumed, even mid-game
+        STOPPING: 'stopping', // Finishing the current game, then stopping at the difficulty selection
+        STOPPED: 'stopped', // Doing nothing until started again
+    };
+
+    const KEYBOARD_SHORTCUTS = {
+        PAUSE: 'P', // Alt+Shift+P pauses or resumes
+        STOP_AFTER_GAME: 'G', // Alt+Shift+G stops after the current game
+        STOP: 'S', // Alt+Shift+S stops right away (kill switch)
+    };
+
+    const DEFAULT_SETTINGS = {
+        minActionDelayMs: 200, // Minimum delay before making a move
+        maxActionDelayMs: 1000, // Maximum delay before making a move
+        minRetryDelayMs: 1000, // Minimum delay for retrying board parsing or re-evaluating state
+        maxRetryDelayMs: 2000, // Maximum delay for retrying
+        gameOverRestartDelayMs: 2500, // Delay before restarting after win/lose screen (e.g., 2.5 seconds)
+        placeFlags: false, // Flag deduced bad neggs in the game itself (CONTROL-click) so a human can take over mid-game
+        strategies: { ...DEFAULT_STRATEGIES }, // Solver strategies to use, see neggsweeper_core.js
+        overlayTheme: 'classic', // Board colours, a key of OVERLAY_THEMES in neggsweeper_core.js
+        showGlyphs: false, // Draw a check, a cross or a question mark inside marked tiles
+        showOverlay: true, // Colour the board at all; the game's own tiles are never replaced either way
+        difficultyMode: 'fixed', // 'fixed', 'rotate' or 'targets'
+        fixedLevel: '3', // game_level used in 'fixed' mode (1 = Easy, 2 = Medium, 3 = Hard)
+        rotationLevels: ['1', '2', '3'], // Levels cycled through in 'rotate' mode, one game each
+        levelTargets: { 1: 0, 2: 0, 3: 10 }, // Games to play per level in 'targets' mode, easiest level first
+        stopRules: { // When to end the session, checked on the difficulty selection screen; 0 or '' switches a rule off
+            maxGames: 0, // Games finished
+            maxWins: 0, // Games won
+            maxConsecutiveLosses: 0, // Games lost in a row
+            timeBudgetMinutes: 0, // Minutes since the session started
+            stopAtTime: '', // Local time of day, 'HH:MM'
+        },
+    };
+
+    const DEFAULT_RUN_STATE = {
+        state: RUN_STATES.RUNNING, // The automation starts on its own unless paused or stopped before
+    };
+
+    const DEFAULT_HISTORY = {
+        games: [], // One record per finished game: level, result, revealed, guesses, durationMs, finishedAt, board
+    };
+
+    const DEFAULT_CURRENT_GAME = {
+        game: null, // The game in progress: level, startedAt, revealed, guesses, totalMines, board
+    };
+
+    const DEFAULT_SESSION = {
+        gamesByLevel: {}, // game_level -> games started this session
+        rotationIndex: 0, // Position in `rotationLevels` for the next game
+        startedAt: null, // When the session started, in milliseconds since the epoch
+        games: 0, // Games finished this session
+        wins: 0, // Games won this session
+        consecutiveLosses: 0, // Games lost since the last win
+    };
+
+    /**
+     * Reads a JSON object from userscript storage. Missing fields are taken from the defaults.
+     * @param {string} key Storage key.
+     * @param {Object} defaults Default values.
+     * @returns {Object} The stored object merged over a copy of the defaults.
+     */
+    function loadStoredValue(key, defaults) {
+        const value = JSON.parse(JSON.stringify(defaults));
+        try {
+            const stored = JSON.parse(GM_getValue(key, 'null'));
+            return stored && typeof stored === 'object' ? Object.assign(value, stored) : value;
+        } catch (error) {
+            console.error(`NeggSweeper Autoplayer: Stored ${key} could not be read, using defaults.`, error);
+            return value;
+        }
+    }
+
     /**
-     * Represents the NeggSweeper game grid and provides methods to parse it from the DOM.
+     * Writes a JSON object to userscript storage.
+     * @param {string} key Storage key.
+     * @param {Object} value The value to store.
      */
-    class NeggSweeperGrid {
-        constructor(mainTableElement) {
-            if (!mainTableElement) {
-                throw new Error("NeggSweeperGrid: Main game table element is required.");
+    function saveStoredValue(key, value) {
+        GM_setValue(key, JSON.stringify(value));
+    }
+
+    /**
+     * Checks settings before they are stored.
+     * @param {Object} settings The settings to check.
+     * @returns {string[]} Problems found, empty if the settings can be used.
+     */
+    function validateSettings(settings) {
+        const errors = [];
+        const delays = ['minActionDelayMs', 'maxActionDelayMs', 'minRetryDelayMs', 'maxRetryDelayMs', 'gameOverRestartDelayMs'];
+        delays.forEach(key => {
+            if (!Number.isInteger(settings[key]) || settings[key] < 0) {
+                errors.push(`${key} must be a whole number of milliseconds, 0 or more.`);
             }
-            this.mainTable = mainTableElement;
-            this.remaining = 0;
-            this.grid = []; // Stores the parsed grid data (e.g., numbers, 'C', 'B')
-            this.domCellMap = new Map(); // Maps "r_c" string to the actual <td> DOM element
+        });
+        if (settings.minActionDelayMs > settings.maxActionDelayMs) {
+            errors.push('The minimum move delay must not be greater than the maximum move delay.');
+        }
+        if (settings.minRetryDelayMs > settings.maxRetryDelayMs) {
+            errors.push('The minimum retry delay must not be greater than the maximum retry delay.');
         }
 
-        /**
-         * Parses the content of a single table cell (<td>) based on clarified definitions.
-         * @param {HTMLElement} cell The <td> element to parse.
-         * @returns {string|number} 'C' for covered/clickable, 'B' for blank/cleared, a number for numbered tiles, or '?' for unknown.
-         * @private
-         */
-        static _parseCellContent(cell) {
-            const img = cell.querySelector('img');
-            if (img && img.src.includes('images.neopets.com/x/gn.gif')) {
-                return 'C'; // Covered/Clickable tile
+        if (!(settings.overlayTheme in OVERLAY_THEMES)) {
+            errors.push(`Unknown overlay theme "${settings.overlayTheme}".`);
+        }
+
+        if (!['fixed', 'rotate', 'targets'].includes(settings.difficultyMode)) {
+            errors.push(`Unknown difficulty mode "${settings.difficultyMode}".`);
+        }
+        if (!(String(settings.fixedLevel) in GAME_LEVELS)) {
+            errors.push(`Unknown level "${settings.fixedLevel}".`);
+        }
+        if (!Array.isArray(settings.rotationLevels) || settings.rotationLevels.length === 0) {
+            errors.push('The rotation needs at least one level.');
+        } else if (settings.rotationLevels.some(level => !(String(level) in GAME_LEVELS))) {
+            errors.push('The rotation may only contain levels 1, 2 and 3.');
+        }
+        Object.entries(settings.levelTargets || {}).forEach(([level, games]) => {
+            if (!(level in GAME_LEVELS) || !Number.isInteger(games) || games < 0) {
+                errors.push(`The target for level ${level} must be a whole number of games, 0 or more.`);
             }
+        });
 
-            const font = cell.querySelector('font > b');
-            if (font) {
-                const value = parseInt(font.innerText.trim(), 10);
-                return isNaN(value) ? '?' : value; // Number or fallback
+        const stopRules = settings.stopRules || {};
+        ['maxGames', 'maxWins', 'maxConsecutiveLosses', 'timeBudgetMinutes'].forEach(key => {
+            if (!Number.isInteger(stopRules[key]) || stopRules[key] < 0) {
+                errors.push(`The stop rule ${key} must be a whole number, 0 or more.`);
             }
+        });
+        if (stopRules.stopAtTime && !/^([01]\d|2[0-3]):[0-5]\d$/.test(stopRules.stopAtTime)) {
+            errors.push('The stop time must be a time of day as HH:MM.');
+        }
+        return errors;
+    }
 
-            const cellInnerHTML = cell.innerHTML.trim();
-            // Whitespace are "islands that were cleared"
-            return (cellInnerHTML === '' || cellInnerHTML === '&nbsp;') ? 'B' : '?'; // Blank/Cleared tile
+    /**
+     * Chooses the difficulty of each new game from the settings and the session progress.
+     * The progress is stored, so rotations and targets carry on across page reloads.
+     */
+    class DifficultyPolicy {
+        constructor(settings, session) {
+            this.settings = settings;
+            this.session = session;
         }
 
         /**
-         * Parses the entire NeggSweeper game board from the DOM.
+         * Gets the level for the next game.
+         * @returns {string|null} The `game_level` value, or null if every level target has been reached.
          */
-        parse() {
-            // Clear previous state
-            this.grid = [];
-            this.domCellMap = new Map();
+        nextLevel() {
+            switch (this.settings.difficultyMode) {
+                case 'rotate': {
+                    const levels = this.settings.rotationLevels;
+                    return levels.length > 0 ? String(levels[this.session.rotationIndex % levels.length]) : null;
+                }
+                case 'targets': {
+                    const targets = this.settings.levelTargets;
+                    const level = Object.keys(targets)
+                        .sort()
+                        .find(key => (this.session.gamesByLevel[key] || 0) < targets[key]);
+                    return level === undefined ? null : level;
+                }
+                default:
+                    return String(this.settings.fixedLevel);
+            }
+        }
 
-            // 1. Get the 'remaining' tiles count
-            const remainingElement = this.mainTable.querySelector('tbody > tr[bgcolor="silver"] table[bgcolor="black"] > tbody > tr[bgcolor="white"] > td:first-child > b');
-            this.remaining = remainingElement ? parseInt(remainingElement.innerText.trim(), 10) : 0;
-            // console.log('NeggSweeperGrid: Remaining Tiles:', this.remaining);
+        /**
+         * Counts a game as started and stores the progress.
+         * @param {string} level The `game_level` value the game was started with.
+         */
+        recordGameStarted(level) {
+            this.session.gamesByLevel[level] = (this.session.gamesByLevel[level] || 0) + 1;
+            if (this.settings.difficultyMode === 'rotate') {
+                this.session.rotationIndex++;
+            }
+            saveStoredValue(STORAGE_KEYS.SESSION, this.session);
+        }
+    }
 
-            // 2. Parse the game grid rows
-            const gridRows = this.mainTable.querySelectorAll('tbody > tr[bgcolor="silver"] ~ tr[bgcolor="white"]');
+    // --- History Export and Import ---
+    const HISTORY_CSV_COLUMNS = ['finishedAt', 'level', 'result', 'revealed', 'guesses', 'durationMs', 'board'];
 
-            if (gridRows.length === 0) {
-                // // console.warn('NeggSweeperGrid: No game grid rows found. Grid might be empty or HTML structure changed.');
-                return;
+    /**
+     * Writes a parsed board as one line: one character per cell, rows separated by '/'.
+     * @param {Array<Array<string|number>>|null} board The grid from NeggSweeperGrid.parse().
+     * @returns {string} The board, or an empty string if there is none.
+     */
+    function boardToString(board) {
+        return board ? board.map(row => row.join('')).join('/') : '';
+    }
+
+    /**
+     * Reads a board written by boardToString.
+     * @param {string} text The board.
+     * @returns {Array<Array<string|number>>|null} The grid, or null for an empty string.
+     */
+    function boardFromString(text) {
+        if (!text) {
+            return null;
+        }
+        return text.split('/').map(row => Array.from(row, value => (/^\d$/.test(value) ? Number(value) : value)));
+    }
+
+    /**
+     * Converts game records to CSV, one row per game with the final board in the last column.
+     * @param {Array<Object>} games Records from GameHistory.
+     * @returns {string} The CSV text, with a header row.
+     */
+    function historyToCsv(games) {
+        const quote = value => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+        const rows = games.map(game => HISTORY_CSV_COLUMNS
+            .map(column => quote(column === 'board' ? boardToString(game.board) : String(game[column] ?? '')))
+            .join(','));
+        return [HISTORY_CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    }
+
+    /**
+     * Reads game records from CSV written by historyToCsv.
+     * @param {string} text The CSV text.
+     * @returns {Array<Object>} The records.
+     */
+    function historyFromCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
             }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
 
-            gridRows.forEach((row, rIdx) => {
-                const rowData = [];
-                const domCells = row.querySelectorAll('td');
-                domCells.forEach((cell, cIdx) => {
-                    rowData.push(NeggSweeperGrid._parseCellContent(cell));
-                    this.domCellMap.set(`${rIdx}_${cIdx}`, cell); // Store reference to DOM cell
-                });
-                this.grid.push(rowData);
+        const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell !== ''));
+        return records.map(cells => {
+            const game = {};
+            header.forEach((column, index) => {
+                game[column] = cells[index] === undefined ? '' : cells[index];
             });
-
-            // console.log('NeggSweeperGrid: Parsed NeggSweeper Grid (', this.grid.length, 'rows):');
-            this.grid.forEach(row => {
-                // console.log(row.join('\t'));
+            ['revealed', 'guesses', 'durationMs'].forEach(column => {
+                game[column] = Number(game[column]);
             });
-        }
+            game.board = boardFromString(game.board);
+            return game;
+        });
+    }
 
-        /**
-         * Gets the DOM cell element for a given coordinate.
-         * @param {number} r Row index.
-         * @param {number} c Column index.
-         * @returns {HTMLElement|null} The <td> element or null if not found.
-         */
-        getDomCell(r, c) {
-            return this.domCellMap.get(`${r}_${c}`) || null;
+    /**
+     * Reads game records from an exported JSON or CSV file.
+     * @param {string} text The file contents.
+     * @returns {Array<Object>} The records.
+     * @throws {Error} If the file is neither exported JSON nor CSV.
+     */
+    function parseHistoryFile(text) {
+        const trimmed = text.trim();
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            const data = JSON.parse(trimmed);
+            const games = Array.isArray(data) ? data : data.games;
+            if (!Array.isArray(games)) {
+                throw new Error('The JSON file has no "games" list.');
+            }
+            return games;
+        }
+        if (trimmed.startsWith(HISTORY_CSV_COLUMNS[0])) {
+            return historyFromCsv(trimmed);
         }
+        throw new Error('The file is not an exported game history (JSON or CSV).');
     }
 
     /**
-     * Solves the NeggSweeper grid using various strategies.
+     * Offers text as a file download.
+     * @param {string} fileName The suggested file name.
+     * @param {string} type The MIME type.
+     * @param {string} text The file contents.
      */
-    class NeggSweeperSolver {
-        constructor(initialGrid) {
-            // Create a deep copy of the grid to avoid modifying the original parsed grid directly
-            this.grid = initialGrid.map(row => [...row]);
-            this.rows = this.grid.length;
-            this.cols = this.grid[0] ? this.grid[0].length : 0;
-
-            // Store coordinates of identified cells (unused?)
-            this.safeCoords = new Set(); // Stores "r_c" strings for safe cells
-            this.mineCoords = new Set(); // Stores "r_c" strings for mine cells
-            this.uncertainCoords = null; // Stores "[r, c]" array for the best probabilistic guess
-
-            // console.log(`NeggSweeperSolver: Initialized with ${this.rows}x${this.cols} grid.`);
-            // console.log('NeggSweeperSolver: Input Grid (DEBUG):');
-            this.grid.forEach(row => {
-                // console.log(row.join('\t'));
-            });
+    function downloadFile(fileName, type, text) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([text], { type }));
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    /**
+     * Decides when an autoplay session is over, from the stop rules in the settings and the session progress.
+     * Rules are only checked on the difficulty selection screen, so a game is never abandoned halfway.
+     */
+    class StopRules {
+        constructor(settings, session) {
+            this.settings = settings;
+            this.session = session;
         }
 
         /**
-         * Checks if a given coordinate is within the grid boundaries.
-         * @param {number} r Row index.
-         * @param {number} c Column index.
-         * @returns {boolean} True if valid, false otherwise.
-         * @private
+         * Counts a finished game and stores the progress.
+         * @param {string} result 'won' or 'lost'.
          */
-        _isValid(r, c) {
-            return r >= 0 && r < this.rows && c >= 0 && c < this.cols;
+        recordGameFinished(result) {
+            this.session.games++;
+            if (result === 'won') {
+                this.session.wins++;
+                this.session.consecutiveLosses = 0;
+            } else {
+                this.session.consecutiveLosses++;
+            }
+            saveStoredValue(STORAGE_KEYS.SESSION, this.session);
         }
 
         /**
-         * Gets the coordinates of valid neighbors for a given cell.
-         * @param {number} r Row index.
-         * @param {number} c Column index.
-         * @returns {Array<Array<number>>} An array of [row, col] pairs for valid neighbors.
-         * @private
+         * Finds the first stop rule that has fired.
+         * @param {number} [now=Date.now()] The current time in milliseconds.
+         * @returns {string|null} A description of the rule, or null if the session may go on.
          */
-        _getNeighbors(r, c) {
-            const neighbors = [];
-            for (let dr = -1; dr <= 1; dr++) {
-                for (let dc = -1; dc <= 1; dc++) {
-                    if (dr === 0 && dc === 0) continue; // Skip the cell itself
-                    const nr = r + dr;
-                    const nc = c + dc;
-                    if (this._isValid(nr, nc)) {
-                        neighbors.push([nr, nc]);
-                    }
+        check(now = Date.now()) {
+            const rules = this.settings.stopRules;
+            const { games, wins, consecutiveLosses, startedAt } = this.session;
+
+            if (rules.maxGames > 0 && games >= rules.maxGames) {
+                return `${games} games played`;
+            }
+            if (rules.maxWins > 0 && wins >= rules.maxWins) {
+                return `${wins} games won`;
+            }
+            if (rules.maxConsecutiveLosses > 0 && consecutiveLosses >= rules.maxConsecutiveLosses) {
+                return `${consecutiveLosses} games lost in a row`;
+            }
+            if (rules.timeBudgetMinutes > 0 && startedAt !== null && now - startedAt >= rules.timeBudgetMinutes * 60000) {
+                return `time budget of ${rules.timeBudgetMinutes} minutes used`;
+            }
+            if (rules.stopAtTime && startedAt !== null) {
+                // The first time the clock shows stopAtTime after the session started
+                const [hours, minutes] = rules.stopAtTime.split(':').map(Number);
+                const stopAt = new Date(startedAt);
+                stopAt.setHours(hours, minutes, 0, 0);
+                if (stopAt.getTime() <= startedAt) {
+                    stopAt.setDate(stopAt.getDate() + 1);
+                }
+                if (now >= stopAt.getTime()) {
+                    return `it is past ${rules.stopAtTime}`;
                 }
             }
-            return neighbors;
+            return null;
         }
+    }
 
+    /**
+     * Keeps a record of every finished game, and of the game in progress, in userscript storage.
+     * The finished games are only written when one is added; the game in progress is written after every move.
+     */
+    class GameHistory {
         /**
-         * Applies the primary neighbor-based deduction rules.
-         * Marks 'X' for mines and 'S' for safe cells.
-         * Updates `this.safeCoords` and `this.mineCoords`.
-         * @returns {boolean} True if any changes were made to the grid, false otherwise.
-         * @private
+         * @param {Object} data The finished games, see DEFAULT_HISTORY.
+         * @param {Object} currentGame The game in progress, see DEFAULT_CURRENT_GAME.
          */
-        _solveByNeighbors() {
-            let changed = false;
-            for (let r = 0; r < this.rows; r++) {
-                for (let c = 0; c < this.cols; c++) {
-                    const cellValue = this.grid[r][c];
-
-                    if (typeof cellValue === 'number') {
-                        const neighbors = this._getNeighbors(r, c);
-                        let unknownCoveredNeighbors = []; // These are 'C' or '?'
-                        let mineNeighborsCount = 0;
-
-                        neighbors.forEach(([nr, nc]) => {
-                            if (this.grid[nr][nc] === 'X') {
-                                mineNeighborsCount++;
-                            } else if (this.grid[nr][nc] === 'C' || this.grid[nr][nc] === '?') {
-                                unknownCoveredNeighbors.push([nr, nc]);
-                            }
-                        });
+        constructor(data, currentGame) {
+            this.data = data;
+            this.currentGame = currentGame;
+            this.listeners = []; // Called after every change to the finished games
+        }
 
-                        const minesRemaining = cellValue - mineNeighborsCount;
-
-                        // Rule 1: If remaining mines equals unknown covered neighbors, all unknown are mines
-                        if (minesRemaining > 0 && minesRemaining === unknownCoveredNeighbors.length) {
-                            unknownCoveredNeighbors.forEach(([nr, nc]) => {
-                                if (this.grid[nr][nc] !== 'X') {
-                                    this.grid[nr][nc] = 'X';
-                                    this.mineCoords.add(`${nr}_${nc}`);
-                                    changed = true;
-                                }
-                            });
-                        }
-                        // Rule 2: If all mines are accounted for, all unknown covered are safe
-                        else if (minesRemaining === 0 && unknownCoveredNeighbors.length > 0) {
-                            unknownCoveredNeighbors.forEach(([nr, nc]) => {
-                                if (this.grid[nr][nc] !== 'S') {
-                                    this.grid[nr][nc] = 'S';
-                                    this.safeCoords.add(`${nr}_${nc}`);
-                                    changed = true;
-                                }
-                            });
-                        }
-                    }
-                }
-            }
-            return changed;
+        /**
+         * Starts tracking a new game.
+         * @param {string} level The `game_level` value the game was started with.
+         */
+        startGame(level) {
+            this.currentGame.game = { level: String(level), startedAt: Date.now(), revealed: 0, guesses: 0, totalMines: null };
+            this._saveCurrentGame();
         }
 
         /**
-         * Applies a basic "subset" deduction strategy for multiple cells.
-         * Updates `this.safeCoords` and `this.mineCoords`.
-         * @returns {boolean} True if any changes were made to the grid, false otherwise.
-         * @private
+         * Updates the game in progress from the latest parsed board.
+         * @param {NeggSweeperGrid} gameParser The parser after parse().
          */
-        _solveByMultiple() {
-            let changed = false;
-
-            for (let r = 0; r < this.rows; r++) {
-                for (let c = 0; c < this.cols; c++) {
-                    const cellValue = this.grid[r][c];
-
-                    if (typeof cellValue === 'number') {
-                        const neighbors1 = this._getNeighbors(r, c);
-                        const unknownCoveredNeighbors1 = neighbors1.filter(([nr, nc]) => this.grid[nr][nc] === 'C' || this.grid[nr][nc] === '?');
-                        const mineNeighbors1 = neighbors1.filter(([nr, nc]) => this.grid[nr][nc] === 'X').length;
-                        const requiredMines1 = cellValue - mineNeighbors1;
-
-                        neighbors1.forEach(([r2, c2]) => {
-                            const cellValue2 = this.grid[r2][c2];
-                            if (typeof cellValue2 === 'number') {
-                                const neighbors2 = this._getNeighbors(r2, c2);
-                                const unknownCoveredNeighbors2 = neighbors2.filter(([nr, nc]) => this.grid[nr][nc] === 'C' || this.grid[nr][nc] === '?');
-                                const mineNeighbors2 = neighbors2.filter(([nr, nc]) => this.grid[nr][nc] === 'X').length;
-                                const requiredMines2 = cellValue2 - mineNeighbors2;
-
-                                const set1 = new Set(unknownCoveredNeighbors1.map(coord => coord.join(',')));
-                                const set2 = new Set(unknownCoveredNeighbors2.map(coord => coord.join(',')));
-
-                                // Check if set1 is a subset of set2
-                                const isSubset1of2 = Array.from(set1).every(coord => set2.has(coord));
-                                if (isSubset1of2 && set1.size < set2.size) {
-                                    const uniqueToSet2 = Array.from(set2).filter(coord => !set1.has(coord)).map(coordStr => coordStr.split(',').map(Number));
-                                    const mineDiff = requiredMines2 - requiredMines1;
-
-                                    if (mineDiff === uniqueToSet2.length) {
-                                        uniqueToSet2.forEach(([nr, nc]) => {
-                                            if (this.grid[nr][nc] !== 'X') {
-                                                this.grid[nr][nc] = 'X';
-                                                this.mineCoords.add(`${nr}_${nc}`);
-                                                changed = true;
-                                            }
-                                        });
-                                    } else if (mineDiff === 0) {
-                                        uniqueToSet2.forEach(([nr, nc]) => {
-                                            if (this.grid[nr][nc] !== 'S') {
-                                                this.grid[nr][nc] = 'S';
-                                                this.safeCoords.add(`${nr}_${nc}`);
-                                                changed = true;
-                                            }
-                                        });
-                                    }
-                                }
-
-                                // Symmetric case: Check if set2 is a subset of set1
-                                const isSubset2of1 = Array.from(set2).every(coord => set1.has(coord));
-                                if (isSubset2of1 && set2.size < set1.size) {
-                                    const uniqueToSet1 = Array.from(set1).filter(coord => !set2.has(coord)).map(coordStr => coordStr.split(',').map(Number));
-                                    const mineDiff = requiredMines1 - requiredMines2;
-
-                                    if (mineDiff === uniqueToSet1.length) {
-                                        uniqueToSet1.forEach(([nr, nc]) => {
-                                            if (this.grid[nr][nc] !== 'X') {
-                                                this.grid[nr][nc] = 'X';
-                                                this.mineCoords.add(`${nr}_${nc}`);
-                                                changed = true;
-                                            }
-                                        });
-                                    } else if (mineDiff === 0) {
-                                        uniqueToSet1.forEach(([nr, nc]) => {
-                                            if (this.grid[nr][nc] !== 'S') {
-                                                this.grid[nr][nc] = 'S';
-                                                this.safeCoords.add(`${nr}_${nc}`);
-                                                changed = true;
-                                            }
-                                        });
-                                    }
-                                }
-                            }
-                        });
-                    }
-                }
+        updateBoard(gameParser) {
+            const current = this.currentGame.game;
+            if (!current) {
+                return;
+            }
+            const cells = gameParser.grid.flat();
+            current.cells = cells.length;
+            current.revealed = cells.filter(value => value === 'B' || typeof value === 'number').length;
+            current.board = gameParser.grid.map(row => [...row]);
+            if (current.totalMines === null) {
+                current.totalMines = gameParser.getHiddenMineCount(); // Every bad negg is still hidden on the first board
             }
-            return changed;
+            this._saveCurrentGame();
         }
 
         /**
-         * If no deterministic moves are found, suggests a "best" tile to click.
-         * Marks the chosen tile with '?' and updates `this.uncertainCoords`.
-         * @returns {boolean} True if a tile was marked, false otherwise.
-         * @private
+         * Counts a move that was not known to be safe.
          */
-        _solveProbabilistically() {
-            let bestGuessCoord = null;
-            let minAdjacentNumber = Infinity;
-
-            for (let r = 0; r < this.rows; r++) {
-                for (let c = 0; c < this.cols; c++) {
-                    if (this.grid[r][c] === 'C') { // Only consider truly covered/clickable tiles
-                        const neighbors = this._getNeighbors(r, c);
-                        let currentMinAdjacentNumber = Infinity;
-                        let hasNumberedNeighbor = false;
-
-                        neighbors.forEach(([nr, nc]) => {
-                            const neighborValue = this.grid[nr][nc];
-                            if (typeof neighborValue === 'number') {
-                                hasNumberedNeighbor = true;
-                                if (neighborValue < currentMinAdjacentNumber) {
-                                    currentMinAdjacentNumber = neighborValue;
-                                }
-                            }
-                        });
-
-                        if (hasNumberedNeighbor && currentMinAdjacentNumber < minAdjacentNumber) {
-                            minAdjacentNumber = currentMinAdjacentNumber;
-                            bestGuessCoord = [r, c];
-                        } else if (!hasNumberedNeighbor && bestGuessCoord === null) {
-                            bestGuessCoord = [r, c];
-                        }
-                    }
-                }
+        recordGuess() {
+            if (this.currentGame.game) {
+                this.currentGame.game.guesses++;
+                this._saveCurrentGame();
             }
+        }
 
-            if (bestGuessCoord) {
-                const [br, bc] = bestGuessCoord;
-                if (this.grid[br][bc] === 'C') {
-                    this.grid[br][bc] = '?';
-                    this.uncertainCoords = bestGuessCoord;
-                    // console.log(`NeggSweeperSolver: Probabilistic guess: Marked [${br}, ${bc}] with '?'.`);
-                    return true;
-                }
+        /**
+         * Ends the game in progress and adds it to the history.
+         * @param {string} result 'won' or 'lost'.
+         * @param {Array<Array<string|number>>|null} [board=null] The uncovered board of the game over screen, as parsed by NeggSweeperGrid.
+         * @returns {Object|null} The new record, or null if no game was being tracked.
+         */
+        finishGame(result, board = null) {
+            const current = this.currentGame.game;
+            if (!current) {
+                return null;
             }
-            return false;
+            // A win uncovers every good negg, including those revealed by the last click
+            const revealed = result === 'won' && current.totalMines !== null && current.cells
+                ? current.cells - current.totalMines
+                : current.revealed;
+            const record = {
+                level: current.level,
+                result,
+                revealed,
+                guesses: current.guesses,
+                durationMs: Date.now() - current.startedAt,
+                finishedAt: new Date().toISOString(),
+                board: board || current.board || null, // The last board played on if the final one could not be parsed
+            };
+            this.data.games.push(record);
+            this.currentGame.game = null;
+            this._saveCurrentGame();
+            this._save();
+            this.listeners.forEach(listener => listener());
+            return record;
         }
 
         /**
-         * Solves the NeggSweeper grid by applying strategies iteratively.
-         * @returns {Array<Array<string|number>>} The solved grid.
+         * Adds imported records, skipping those already in the history.
+         * A game is identified by when it finished, its level, result and duration.
+         * @param {Array<Object>} games The imported records.
+         * @returns {{added: number, skipped: number}} Records added, and records skipped as duplicates or invalid.
          */
-        solve() {
-            let changedInIteration = true;
-            let iterationCount = 0;
-
-            this.safeCoords.clear(); // Clear previous solution data
-            this.mineCoords.clear();
-            this.uncertainCoords = null;
-
-            while (changedInIteration && iterationCount < 100) {
-                changedInIteration = false;
-                iterationCount++;
+        merge(games) {
+            const key = game => [game.finishedAt, game.level, game.result, game.durationMs].join('|');
+            const known = new Set(this.data.games.map(key));
+            let added = 0;
+            games.forEach(game => {
+                const valid = game && (String(game.level) in GAME_LEVELS) && (game.result === 'won' || game.result === 'lost')
+                    && typeof game.finishedAt === 'string' && game.finishedAt !== '';
+                if (!valid || known.has(key(game))) {
+                    return;
+                }
+                known.add(key(game));
+                this.data.games.push({
+                    level: String(game.level),
+                    result: game.result,
+                    revealed: Number(game.revealed) || 0,
+                    guesses: Number(game.guesses) || 0,
+                    durationMs: Number(game.durationMs) || 0,
+                    finishedAt: game.finishedAt,
+                    board: Array.isArray(game.board) ? game.board : null,
+                });
+                added++;
+            });
 
-                const changedByNeighbors = this._solveByNeighbors();
-                const changedByMultiple = this._solveByMultiple();
+            if (added > 0) {
+                this.data.games.sort((a, b) => a.finishedAt.localeCompare(b.finishedAt));
+                this._save();
+                this.listeners.forEach(listener => listener());
+            }
+            return { added, skipped: games.length - added };
+        }
 
-                if (changedByNeighbors || changedByMultiple) {
-                    changedInIteration = true;
-                    // console.log(`NeggSweeperSolver: Iteration ${iterationCount}: Changes made (Neighbors: ${changedByNeighbors}, Multiple: ${changedByMultiple}).`);
+        /**
+         * Summarises the history.
+         * @returns {{levels: Object<string, {games: number, wins: number, losses: number, winRate: number}>,
+         *   currentStreak: {result: string|null, length: number}, longestWinStreak: number, longestLossStreak: number}}
+         *   Totals per `game_level`, and streaks in the order the games were played.
+         */
+        stats() {
+            const stats = { levels: {}, currentStreak: { result: null, length: 0 }, longestWinStreak: 0, longestLossStreak: 0 };
+            this.data.games.forEach(({ level, result }) => {
+                const entry = stats.levels[level] || (stats.levels[level] = { games: 0, wins: 0, losses: 0, winRate: 0 });
+                entry.games++;
+                if (result === 'won') {
+                    entry.wins++;
                 } else {
-                    // console.log(`NeggSweeperSolver: Iteration ${iterationCount}: No deterministic changes made.`);
+                    entry.losses++;
                 }
-            }
+                entry.winRate = entry.wins / entry.games;
 
-            const hasCoveredTiles = this.grid.some(row => row.includes('C'));
-            if (!changedInIteration && hasCoveredTiles) {
-                this._solveProbabilistically();
-            }
+                const streak = stats.currentStreak;
+                streak.length = streak.result === result ? streak.length + 1 : 1;
+                streak.result = result;
+                if (result === 'won') {
+                    stats.longestWinStreak = Math.max(stats.longestWinStreak, streak.length);
+                } else {
+                    stats.longestLossStreak = Math.max(stats.longestLossStreak, streak.length);
+                }
+            });
+            return stats;
+        }
 
-            return this.grid;
+        /**
+         * Writes the finished games to userscript storage.
+         * @private
+         */
+        _save() {
+            saveStoredValue(STORAGE_KEYS.HISTORY, this.data);
         }
 
         /**
-         * Returns a list of coordinates for all currently unknown (covered) cells.
-         * @returns {Array<Array<number>>} An array of [row, col] pairs.
+         * Writes the game in progress to userscript storage.
+         * @private
          */
-        getUnknownCells() {
-            const unknownCells = [];
-            for (let r = 0; r < this.rows; r++) {
-                for (let c = 0; c < this.cols; c++) {
-                    if (this.grid[r][c] === 'C') {
-                        unknownCells.push([r, c]);
-                    }
-                }
-            }
-            return unknownCells;
+        _saveCurrentGame() {
+            saveStoredValue(STORAGE_KEYS.CURRENT_GAME, this.currentGame);
         }
     }
 
+    const VISUALIZER_PREFIX = 'neggsweeper-autoplayer'; // Prefix of the classes and attributes the visualizer adds to the board
+
     /**
-     * Modifies the game table's appearance based on the solved grid.
+     * Shows the solver's view of the board on the game table.
+     * Marks are drawn by a NeggSweeperOverlay, so the game's own tiles and click handlers are left alone.
      */
     class GameBoardVisualizer {
-        constructor(gameGridInstance, solvedGrid) {
+        /**
+         * @param {NeggSweeperGrid} gameGridInstance The parsed board.
+         * @param {Object} solution The result of NeggSweeperSolver.solve().
+         * @param {boolean} [keepMinesClickable=false] Let bad neggs take mouse clicks so they can be flagged.
+         * @param {Object} [options]
+         * @param {Object} [options.theme=OVERLAY_THEMES.classic] Colours and glyphs, one of OVERLAY_THEMES.
+         * @param {boolean} [options.showGlyphs=false] Draw the theme's glyph inside marked tiles.
+         * @param {boolean} [options.visible=true] Draw the marks; they can be switched on later with setVisible().
+         */
+        constructor(gameGridInstance, solution, keepMinesClickable = false, { theme = OVERLAY_THEMES.classic, showGlyphs = false, visible = true } = {}) {
             if (!gameGridInstance || !gameGridInstance.mainTable) {
                 throw new Error("GameBoardVisualizer: NeggSweeperGrid instance with mainTable is required.");
             }
-            if (!solvedGrid || solvedGrid.length === 0) {
-                // console.warn("GameBoardVisualizer: Solved grid is empty or invalid, no modifications will be applied.");
+            this.keepMinesClickable = keepMinesClickable; // Mines keep taking clicks so they can still be flagged
+            this.theme = theme;
+            this.showGlyphs = showGlyphs;
+            this.visible = visible;
+            this.overlay = new NeggSweeperOverlay(gameGridInstance.mainTable, VISUALIZER_PREFIX, { theme });
+            if (!solution) {
+                // console.warn("GameBoardVisualizer: Solution is missing, no modifications will be applied.");
                 this.gameGrid = null;
-                this.solvedGrid = null;
+                this.solution = null;
                 return;
             }
             this.gameGrid = gameGridInstance;
-            this.solvedGrid = solvedGrid;
+            this.solution = solution;
+        }
+
+        /**
+         * Gets the glyph drawn inside a marked tile.
+         * @param {string} kind 'safe', 'mine', 'guess' or 'conflict'.
+         * @returns {string} The glyph; empty for all but the guess when glyphs are off.
+         * @private
+         */
+        _glyph(kind) {
+            if (!this.showGlyphs && kind !== 'guess') {
+                return '';
+            }
+            return this.theme[kind].glyph;
+        }
+
+        /**
+         * Shows or hides the marks, leaving the board as the game drew it while hidden.
+         * @param {boolean} visible Whether the marks are drawn.
+         */
+        setVisible(visible) {
+            this.visible = visible;
+            this.overlay.setVisible(visible);
         }
 
         /**
          * Applies the solution (colors, question marks) to the live HTML table.
+         * The marks from a previous call are cleared first.
          */
         applySolutionToTable() {
             if (!this.gameGrid || !this.gameGrid.mainTable) {
@@ -443,103 +655,24 @@
 
             // console.log("GameBoardVisualizer: Applying solution to the game table...");
 
-            this.solvedGrid.forEach((rowData, rowIndex) => {
-                rowData.forEach((cellValue, colIndex) => {
-                    const domCell = this.gameGrid.getDomCell(rowIndex, colIndex);
-                    if (!domCell) {
-                        // console.warn(`GameBoardVisualizer: DOM cell not found for [${rowIndex}, ${colIndex}]. Skipping visual update.`);
-                        return;
-                    }
-
-                    const originalImg = domCell.querySelector('img');
-
-                    // Reset background-color on the TD itself to clear previous states
-                    domCell.style.removeProperty('background-color');
-
-                    // Handle cells that were originally clickable (had an image)
-                    if (originalImg) {
-                        const originalOnClick = originalImg.getAttribute('onclick');
-
-                        // Create a new span element to replace the image
-                        const newSpan = document.createElement('span');
-                        newSpan.style.cssText = `
-                            display: flex !important;
-                            justify-content: center !important;
-                            align-items: center !important;
-                            width: 100% !important;
-                            height: 100% !important;
-                            cursor: pointer !important; /* Indicate clickable */
-                            box-sizing: border-box !important; /* Include padding/border in element's total width and height */
-                        `;
-
-                        // Copy all attributes from original img to new span, including onclick
-                        Array.from(originalImg.attributes).forEach(attr => {
-                            newSpan.setAttribute(attr.name, attr.value);
-                        });
-
-                        // Replace the original image with the new span
-                        domCell.innerHTML = ''; // Clear existing content (including img)
-                        domCell.appendChild(newSpan);
-
-                        switch (cellValue) {
-                            case 'S':
-                                newSpan.style.setProperty('background-color', 'limegreen', 'important');
-                                newSpan.innerHTML = ''; // Safe cells don't need text
-                                break;
-                            case 'X':
-                                newSpan.style.setProperty('background-color', 'red', 'important');
-                                newSpan.innerHTML = ''; // Mine cells don't need text
-                                newSpan.removeAttribute('onclick'); // Mines are not clickable
-                                newSpan.style.removeProperty('cursor'); // Remove cursor pointer
-                                break;
-                            case '?':
-                                newSpan.style.setProperty('background-color', 'yellow', 'important');
-                                newSpan.innerHTML = '<font color="black" size="+1"><b>?</b></font>';
-                                break;
-                            case 'C': // If it remains 'C', revert to original image appearance
-                                // Remove the temporary span and re-insert the original image structure
-                                domCell.innerHTML = ''; // Clear the span
-                                const restoredImg = originalImg.cloneNode(true); // Clone to avoid issues with element being removed
-                                restoredImg.style.cssText = ''; // Clear any inline styles from previous runs
-                                domCell.appendChild(restoredImg);
-                                break;
-                            default:
-                                // console.warn(`GameBoardVisualizer: Unexpected cell value for original img cell [${rowIndex}, ${colIndex}]: ${cellValue}`);
-                                domCell.innerHTML = ''; // Clear content if unexpected
-                                break;
-                        }
-                    } else {
-                        // This cell was originally 'B' (blank) or a number.
-                        switch (cellValue) {
-                            case 'S':
-                                domCell.style.setProperty('background-color', 'limegreen', 'important');
-                                // Ensure no text if it was originally blank and now safe
-                                if (domCell.innerHTML.trim() === '' || domCell.innerHTML.trim() === '&nbsp;') {
-                                    domCell.innerHTML = '';
-                                }
-                                break;
-                            case 'X':
-                                domCell.style.setProperty('background-color', 'red', 'important');
-                                // Ensure no text if it was originally blank and now a mine
-                                if (domCell.innerHTML.trim() === '' || domCell.innerHTML.trim() === '&nbsp;') {
-                                    domCell.innerHTML = '';
-                                }
-                                domCell.onclick = null; // Ensure no click handler on the TD for mines
-                                domCell.style.removeProperty('cursor');
-                                break;
-                            case '?': // A '?' on a blank cell should also be clickable
-                                domCell.style.setProperty('background-color', 'yellow', 'important');
-                                domCell.innerHTML = '<font color="black" size="+1"><b>?</b></font>';
-                                domCell.style.setProperty('cursor', 'pointer', 'important');
-                                break;
-                            default:
-                                // For 'B' or numbers, ensure no helper-applied background remains
-                                domCell.style.removeProperty('background-color');
-                                domCell.style.removeProperty('cursor');
-                                break;
-                        }
-                    }
-                });
+            this.overlay.clear();
+            this.overlay.setVisible(this.visible);
+
+            // Undecided tiles, flags, blanks and numbers keep the game's own appearance
+            const marks = [
+                ...this.solution.safe.map(cell => [cell, 'safe']),
+                ...this.solution.mines.map(cell => [cell, 'mine']),
+                ...this.solution.flagConflicts.map(cell => [cell, 'conflict']),
+                ...(this.solution.guess ? [[this.solution.guess.cell, 'guess']] : []),
+            ];
+            marks.forEach(([[r, c], kind]) => {
+                const domCell = this.gameGrid.getDomCell(r, c);
+                if (!domCell) {
+                    // console.warn(`GameBoardVisualizer: DOM cell not found for [${r}, ${c}]. Skipping visual update.`);
+                    return;
+                }
+                // Mines ignore clicks unless they are to be flagged
+                this.overlay.mark(domCell, kind, { label: this._glyph(kind), blocked: kind === 'mine' && !this.keepMinesClickable });
             });
             // console.log("GameBoardVisualizer: Solution application complete.");
         }
@@ -553,6 +686,110 @@
             this.gameParser = null;
             this.solver = null;
             this.visualizer = null;
+            this.settings = loadStoredValue(STORAGE_KEYS.SETTINGS, DEFAULT_SETTINGS);
+            this.session = loadStoredValue(STORAGE_KEYS.SESSION, DEFAULT_SESSION);
+            this.difficultyPolicy = new DifficultyPolicy(this.settings, this.session);
+            this.stopRules = new StopRules(this.settings, this.session);
+            this.runState = loadStoredValue(STORAGE_KEYS.RUN_STATE, DEFAULT_RUN_STATE);
+            this.timers = new Set(); // Pending timeout ids, cancelled on pause and stop
+            this.runStateListeners = []; // Called with the new state after every run state change
+            this.boardWatcher = null; // Reports board changes on the gameplay page, see _watchBoard
+            this.pendingMove = null; // Timeout id of the move scheduled for the current board
+            this.moveWatchdog = null; // Timeout id of the board check scheduled after a move, see _watchMove
+            this.history = new GameHistory(loadStoredValue(STORAGE_KEYS.HISTORY, DEFAULT_HISTORY), loadStoredValue(STORAGE_KEYS.CURRENT_GAME, DEFAULT_CURRENT_GAME));
+            if (this.session.startedAt === null) {
+                this._startSession();
+            }
+        }
+
+        /**
+         * Whether the automation may act on the page.
+         * @returns {boolean} True while running or finishing the current game.
+         */
+        isActive() {
+            return this.runState.state === RUN_STATES.RUNNING || this.runState.state === RUN_STATES.STOPPING;
+        }
+
+        /**
+         * Evaluates the page after a short delay, unless the automation is paused or stopped.
+         */
+        run() {
+            if (this.isActive()) {
+                this._schedule(() => this.startGameSelector(), this._retryDelay());
+            }
+        }
+
+        /**
+         * Changes and stores the run state. Pausing or stopping cancels every scheduled action;
+         * resuming or starting evaluates the page again.
+         * @param {string} state One of RUN_STATES.
+         */
+        setRunState(state) {
+            if (!Object.values(RUN_STATES).includes(state)) {
+                console.error(`GameAutomation: Unknown run state "${state}".`);
+                return;
+            }
+            const wasActive = this.isActive();
+            if (this.runState.state === RUN_STATES.STOPPED && state !== RUN_STATES.STOPPED) {
+                this._startSession(); // Starting again after a stop begins a new session
+            }
+            this.runState.state = state;
+            saveStoredValue(STORAGE_KEYS.RUN_STATE, this.runState);
+
+            if (!this.isActive()) {
+                this.cancelTimers();
+            } else if (!wasActive) {
+                this.run();
+            }
+            this.runStateListeners.forEach(listener => listener(state));
+        }
+
+        /**
+         * Cancels every scheduled action.
+         */
+        cancelTimers() {
+            this.timers.forEach(id => clearTimeout(id));
+            this.timers.clear();
+        }
+
+        /**
+         * Resets the session progress (rotation, level targets, stop rule counters) and stores it.
+         * @private
+         */
+        _startSession() {
+            Object.keys(this.session).forEach(key => delete this.session[key]);
+            Object.assign(this.session, JSON.parse(JSON.stringify(DEFAULT_SESSION)), { startedAt: Date.now() });
+            saveStoredValue(STORAGE_KEYS.SESSION, this.session);
+        }
+
+        /**
+         * Schedules an action that is cancelled when the automation is paused or stopped.
+         * @param {Function} callback The action.
+         * @param {number} delay Delay in milliseconds.
+         * @returns {number} The timeout id.
+         * @private
+         */
+        _schedule(callback, delay) {
+            const id = setTimeout(() => {
+                this.timers.delete(id);
+                if (this.isActive()) {
+                    callback();
+                }
+            }, delay);
+            this.timers.add(id);
+            return id;
+        }
+
+        /**
+         * Cancels an action scheduled with _schedule.
+         * @param {number|null} id The timeout id, ignored if null.
+         * @private
+         */
+        _cancelTimer(id) {
+            if (id !== null && id !== undefined) {
+                clearTimeout(id);
+                this.timers.delete(id);
+            }
         }
 
         /**
@@ -568,8 +805,8 @@
                 return;
             }
 
-            // The clickable element will be the span (for S, X, ?) or the original img (for C)
-            const clickableElement = domCell.querySelector('span[onclick]') || domCell.querySelector('img[onclick]');
+            // The overlay leaves the game's tile image, and its click handler, in place
+            const clickableElement = domCell.querySelector('img[onclick]');
 
             if (clickableElement && typeof clickableElement.click === 'function') {
                 // console.log(`GameAutomation: Clicking cell [${r}, ${c}] via .click() on element:`, clickableElement);
@@ -579,145 +816,330 @@
             }
         }
 
+        /**
+         * Places an in-game flag on a cell by sending a CONTROL-modified click, as a player would.
+         * @param {number} r Row index of the cell.
+         * @param {number} c Column index of the cell.
+         */
+        performFlag(r, c) {
+            const domCell = this.gameParser.getDomCell(r, c);
+            if (!domCell) {
+                console.error(`GameAutomation: Could not find DOM cell for [${r}, ${c}] to flag.`);
+                return;
+            }
+
+            const clickableElement = domCell.querySelector('img[onclick]');
+
+            if (clickableElement) {
+                // console.log(`GameAutomation: Flagging cell [${r}, ${c}] via CONTROL-click on element:`, clickableElement);
+                clickableElement.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, ctrlKey: true }));
+            } else {
+                console.error(`GameAutomation: Element for [${r}, ${c}] cannot be flagged, no click handler found.`);
+            }
+        }
+
         /**
          * Main function to automate Neggsweeper gameplay.
          * It detects the current page state and performs actions.
          */
         async startGameSelector() {
-            // Check for Difficulty Selection Form (Play Again!!! page)
-            // This is the highest priority if it's present, regardless of game over text.
-            // The "You Lose!!!" or "You Win!!!" text will be on this page.
-            const difficultyForm = document.querySelector('form[action="/games/neggsweeper/neggsweeper.phtml"][method="post"]');
-            const isGameOverScreen = document.body.innerText.includes('You Lose!!!') || document.body.innerText.includes('You Win!!!');
-
-            if (difficultyForm) {
-                if (isGameOverScreen) {
+            if (!this.isActive()) {
+                return;
+            }
+
+            const { state, difficultyForm, continueButton } = classifyPage(document);
+
+            switch (state) {
+                case PAGE_STATES.WON:
+                case PAGE_STATES.LOST: {
+                    if (!difficultyForm) {
+                        break; // A game over screen without the form to start the next game, load the game page again
+                    }
+                    // The game over screen shows the board with every tile uncovered
+                    const { gameParser } = NeggSweeperGrid.diagnosePage(document);
+                    const board = gameParser && gameParser.grid.length > 0 ? gameParser.grid : null;
+                    const record = this.history.finishGame(state === PAGE_STATES.WON ? 'won' : 'lost', board);
+                    if (record) {
+                        this.stopRules.recordGameFinished(record.result);
+                    }
                     // console.log("[GameAutomation] Detected Game Over screen with difficulty selection. Waiting to restart...");
-                    setTimeout(() => {
+                    this._schedule(() => {
                         this._handleDifficultySelection(difficultyForm);
-                    }, GAME_OVER_RESTART_DELAY_MS);
-                } else {
+                    }, this.settings.gameOverRestartDelayMs);
+                    return;
+                }
+                case PAGE_STATES.DIFFICULTY_SELECTION:
                     // console.log("[GameAutomation] Detected difficulty selection page (initial load/manual navigation).");
                     this._handleDifficultySelection(difficultyForm);
-                }
-                return; // Action taken, stop current flow
+                    return;
+                case PAGE_STATES.IN_GAME:
+                    // console.log("[GameAutomation] Detected gameplay page. Watching the board...");
+                    this._watchBoard();
+                    return;
+                case PAGE_STATES.CONTINUE_PLAYING:
+                    // console.log("[GameAutomation] Detected 'Continue Playing' form. Submitting to return to game.");
+                    this._schedule(() => {
+                        continueButton.click();
+                    }, this._actionDelay());
+                    return;
+                case PAGE_STATES.LOGGED_OUT:
+                    // Nothing to play until the player logs in again
+                    console.error("[GameAutomation] Logged out of Neopets. Halting automation.");
+                    this.setRunState(RUN_STATES.STOPPED);
+                    return;
+                case PAGE_STATES.MAINTENANCE:
+                    // console.log("[GameAutomation] NeggSweeper is closed for maintenance. Trying again later.");
+                    this._schedule(() => {
+                        window.location.replace(GAME_URL);
+                    }, MAINTENANCE_RETRY_DELAY_MS);
+                    return;
+                default:
+                    break; // Internal errors and unknown pages: load the game page again
             }
 
-            // Check for Gameplay Indicator ("Hold down the CONTROL key...")
-            const gameplayIndicator = document.body.textContent.includes("Hold down the CONTROL key while clicking on a negg to add or remove a flag!");
-            if (gameplayIndicator) {
-                // console.log("[GameAutomation] Detected gameplay page. Starting solver and action sequence...");
+            // Navigate to the base game URL, or refresh if already there
+            if (window.location.href !== GAME_URL) {
+                // console.log("[GameAutomation] Unknown page state. Redirecting to base game URL.");
+                this._schedule(() => {
+                    window.location.href = GAME_URL;
+                }, this._actionDelay());
+            } else {
+                // console.log("[GameAutomation] Correct page, but not in a recognized game state (e.g., Internal Error). Refreshing.");
+                this._schedule(() => {
+                    // Prevent POST resubmission warning by forcing a clean GET
+                    window.location.replace(GAME_URL);
+                }, this._actionDelay());
+            }
+        }
 
-                const mainGameTable = document.querySelector('table[bgcolor="black"]');
-                if (!mainGameTable) {
-                    console.error('GameAutomation: Could not find the main game table on the gameplay page. Retrying...');
-                    setTimeout(() => this.startGameSelector(), getRandomDelay(MIN_RETRY_DELAY_MS, MAX_RETRY_DELAY_MS));
-                    return;
+        /**
+         * Starts the board watcher, or asks it for the current position again (e.g., after resuming).
+         * Every position it reports is solved and played by _onBoardChange.
+         * @private
+         */
+        _watchBoard() {
+            let reported;
+            if (!this.boardWatcher) {
+                this.boardWatcher = new NeggSweeperBoardWatcher(document.body, gameParser => this._onBoardChange(gameParser));
+                reported = this.boardWatcher.start();
+            } else {
+                reported = this.boardWatcher.refresh();
+            }
+            if (!reported) {
+                // The watcher skips pages without a board it can parse; boards it does report are checked by _onBoardChange
+                const { report } = NeggSweeperGrid.diagnosePage(document, this._diagnoseOptions());
+                if (!report.ok) {
+                    this._stopForUnreadableBoard(report);
                 }
+            }
+        }
 
-                // Initialize parser and solver if not already
-                if (!this.gameParser) {
-                    this.gameParser = new NeggSweeperGrid(mainGameTable);
+        /**
+         * Options for NeggSweeperGrid.diagnose(): the difficulty this game was started with,
+         * which is checked against the board size when the page does not name it.
+         * @returns {{level: string|null}} The options.
+         * @private
+         */
+        _diagnoseOptions() {
+            const current = this.history.currentGame.game;
+            return { level: current ? GAME_LEVELS[current.level] || null : null };
+        }
+
+        /**
+         * Stops the automation when the board was not parsed as expected or does not add up, rather than clicking blindly.
+         * The report, with its snapshot of the game table, is logged and kept in userscript storage.
+         * @param {Object} report A failed report from NeggSweeperGrid.diagnose().
+         * @private
+         */
+        _stopForUnreadableBoard(report) {
+            console.error(`[GameAutomation] The board could not be read, the game's markup may have changed. Halting automation. ${report.problems.join(' ')}`);
+            if (report.snapshot) {
+                console.error(`[GameAutomation] Game table snapshot: ${report.snapshot}`);
+            }
+            saveStoredValue(STORAGE_KEYS.DIAGNOSTICS, { ...report, url: window.location.href, reportedAt: new Date().toISOString() });
+            if (this.boardWatcher) {
+                this.boardWatcher.stop();
+                this.boardWatcher = null;
+            }
+            this.setRunState(RUN_STATES.STOPPED);
+        }
+
+        /**
+         * Solves a new board position, shows the solution and schedules the next move.
+         * A move still pending for the previous position is cancelled.
+         * @param {NeggSweeperGrid} gameParser The freshly parsed board.
+         * @private
+         */
+        _onBoardChange(gameParser) {
+            if (!this.isActive()) {
+                return; // Picked up again by _watchBoard() when resumed
+            }
+            this._cancelTimer(this.moveWatchdog);
+            this.moveWatchdog = null;
+            if (classifyPage(document).state !== PAGE_STATES.IN_GAME) {
+                // The game ended without a page load; let the page state decide what comes next
+                this.boardWatcher.stop();
+                this.boardWatcher = null;
+                this.startGameSelector();
+                return;
+            }
+            const report = gameParser.diagnose(this._diagnoseOptions());
+            if (!report.ok) {
+                this._stopForUnreadableBoard(report);
+                return;
+            }
+
+            this.gameParser = gameParser;
+            this.history.updateBoard(this.gameParser);
+
+            // A fresh solver per board, so changes to the strategy settings apply right away
+            this.solver = new NeggSweeperSolver(this.gameParser.grid, this.gameParser.getHiddenMineCount(), {
+                strategies: this.settings.strategies,
+            });
+
+            // Solve the grid
+            const solution = this.solver.solve();
+            if (solution.contradictions.length > 0) {
+                // An impossible board was misread somewhere; any move made from it would be a blind one
+                if (this.visualizer) {
+                    this.visualizer.overlay.clear();
                 }
-                this.gameParser.parse(); // Always re-parse for the latest board state
+                this._stopForUnreadableBoard({
+                    ...report,
+                    ok: false,
+                    problems: solution.contradictions.map(({ text }) => text),
+                    snapshot: NeggSweeperGrid.snapshot(gameParser.mainTable),
+                });
+                return;
+            }
 
-                if (this.gameParser.grid.length === 0 || this.gameParser.grid[0].length === 0) {
-                    // console.warn('GameAutomation: Parsed grid is empty, cannot run solver. Retrying...');
-                    setTimeout(() => this.startGameSelector(), getRandomDelay(MIN_RETRY_DELAY_MS, MAX_RETRY_DELAY_MS));
+            // Visualize the solution; the watcher ignores these changes as they leave the parsed board as it was
+            this.visualizer = new GameBoardVisualizer(this.gameParser, solution, this.settings.placeFlags, {
+                theme: OVERLAY_THEMES[this.settings.overlayTheme] || OVERLAY_THEMES.classic,
+                showGlyphs: this.settings.showGlyphs,
+                visible: this.settings.showOverlay,
+            });
+            this.visualizer.applySolutionToTable();
+
+            // Determine next action based on solver's output
+            this._cancelTimer(this.pendingMove);
+            this.pendingMove = this._schedule(() => {
+                this.pendingMove = null;
+
+                // A player flag on a tile proven safe hides that tile from every move, so the game could never be finished
+                if (solution.flagConflicts.length > 0) {
+                    if (this.settings.placeFlags) {
+                        const [r, c] = solution.flagConflicts[0];
+                        // console.log("[GameAutomation] Removing flag from safe cell:", [r, c]);
+                        this.performFlag(r, c);
+                        this._watchMove();
+                    } else {
+                        console.error("[GameAutomation] Flags were placed on neggs that are proven safe, and flagging is off. Halting automation.");
+                        this._stopForUnreadableBoard({
+                            ...report,
+                            ok: false,
+                            problems: solution.flagConflicts.map(([r, c]) => `The flag at [${r}, ${c}] is on a safe negg; remove it to continue.`),
+                        });
+                    }
                     return;
                 }
 
-                if (!this.solver) {
-                    this.solver = new NeggSweeperSolver(this.gameParser.grid);
-                } else {
-                    // Update solver's internal grid with the newly parsed one
-                    this.solver.grid = this.gameParser.grid.map(row => [...row]);
+                // Flag deduced mines in the game first, one per board change, so the server-side board keeps up with the solver
+                if (this.settings.placeFlags) {
+                    const unflaggedMines = solution.mines.filter(([r, c]) => this.gameParser.grid[r][c] === 'C');
+
+                    if (unflaggedMines.length > 0) {
+                        const [r, c] = unflaggedMines[Math.floor(Math.random() * unflaggedMines.length)];
+                        // console.log("[GameAutomation] Flagging deduced mine:", [r, c]);
+                        this.performFlag(r, c);
+                        this._watchMove();
+                        return;
+                    }
                 }
 
-                // Solve the grid
-                const solvedGrid = this.solver.solve();
+                let cellToClick = null;
+                let isGuess = true;
 
-                // Visualize the solution
-                if (!this.visualizer) {
-                    this.visualizer = new GameBoardVisualizer(this.gameParser, solvedGrid);
-                } else {
-                    this.visualizer.solvedGrid = solvedGrid; // Update visualizer with new solution
+                // Prioritize safe cells
+                const clickableSafeCells = solution.safe.filter(([r, c]) => {
+                    const domCell = this.gameParser.getDomCell(r, c);
+                    // Ensure it's still a clickable tile
+                    return domCell && domCell.querySelector('img[onclick]');
+                });
+
+                if (clickableSafeCells.length > 0) {
+                    const randomIndex = Math.floor(Math.random() * clickableSafeCells.length);
+                    cellToClick = clickableSafeCells[randomIndex];
+                    isGuess = false;
+                    // console.log("[GameAutomation] Found safe cells. Clicking a random one:", cellToClick);
+                } else if (solution.guess) {
+                    const [r, c] = solution.guess.cell;
+                    const domCell = this.gameParser.getDomCell(r, c);
+                    // Ensure the probabilistic guess is still a clickable element
+                    if (domCell && domCell.querySelector('img[onclick]')) {
+                        cellToClick = solution.guess.cell;
+                        // console.log("[GameAutomation] No safe cells. Clicking best probabilistic guess:", cellToClick);
+                    }
                 }
-                this.visualizer.applySolutionToTable();
-
-                // Determine next action based on solver's output
-                setTimeout(() => {
-                    let cellToClick = null;
-
-                    // Prioritize safe cells
-                    const safeCellsCoords = Array.from(this.solver.safeCoords).map(id => id.split('_').map(Number));
-                    const clickableSafeCells = safeCellsCoords.filter(([r, c]) => {
-                        const domCell = this.gameParser.getDomCell(r, c);
-                        // Ensure it's still a clickable element (span or img)
-                        return domCell && (domCell.querySelector('span[onclick]') || domCell.querySelector('img[onclick]'));
-                    });
-
-                    if (clickableSafeCells.length > 0) {
-                        const randomIndex = Math.floor(Math.random() * clickableSafeCells.length);
-                        cellToClick = clickableSafeCells[randomIndex];
-                        // console.log("[GameAutomation] Found safe cells. Clicking a random one:", cellToClick);
-                    } else if (this.solver.uncertainCoords) {
-                        const [r, c] = this.solver.uncertainCoords;
-                        const domCell = this.gameParser.getDomCell(r, c);
-                        // Ensure the probabilistic guess is still a clickable element
-                        if (domCell && (domCell.querySelector('span[onclick]') || domCell.querySelector('img[onclick]'))) {
-                            cellToClick = this.solver.uncertainCoords;
-                            // console.log("[GameAutomation] No safe cells. Clicking best probabilistic guess:", cellToClick);
-                        }
-                    } else {
-                        // Fallback: Click any remaining 'C' (covered) cell
-                        const remainingUnknownCells = this.solver.getUnknownCells();
-                        if (remainingUnknownCells.length > 0) {
-                            cellToClick = remainingUnknownCells[0]; // Pick the first available
-                            // console.log("[GameAutomation] No definitive or probabilistic moves. Clicking top-leftmost unknown cell:", cellToClick);
-                        }
+                if (!cellToClick) {
+                    // Fallback: Click any remaining 'C' (covered) cell
+                    const remainingUnknownCells = this.solver.getUnknownCells();
+                    if (remainingUnknownCells.length > 0) {
+                        cellToClick = remainingUnknownCells[0]; // Pick the first available
+                        // console.log("[GameAutomation] No definitive or probabilistic moves. Clicking top-leftmost unknown cell:", cellToClick);
                     }
+                }
 
-                    if (cellToClick) {
-                        this.performClick(cellToClick[0], cellToClick[1]);
-                        // After a click, the page will likely reload or update.
-                        // Re-run Selector after a random delay to re-evaluate the new board state.
-                        setTimeout(() => this.startGameSelector(), getRandomDelay(MIN_RETRY_DELAY_MS, MAX_RETRY_DELAY_MS) + getRandomDelay(MIN_ACTION_DELAY_MS, MAX_ACTION_DELAY_MS));
-                    } else {
-                        // console.log("[GameAutomation] No available moves identified. Board might be fully solved or in an unhandled state. Halting automation.");
+                if (cellToClick) {
+                    if (isGuess) {
+                        this.history.recordGuess();
                     }
+                    this.performClick(cellToClick[0], cellToClick[1]);
+                    // After a click the page reloads, or the board watcher reports the updated board
+                    this._watchMove();
+                } else {
+                    // console.log("[GameAutomation] No available moves identified. Board might be fully solved or in an unhandled state. Halting automation.");
+                }
 
-                }, getRandomDelay(MIN_ACTION_DELAY_MS, MAX_ACTION_DELAY_MS)); // Initial delay before making the first move
-                return; // Action taken, stop current flow
-            }
+            }, this._actionDelay()); // Delay before making the move
+        }
 
-            // Check for "Continue Playing" form (e.g., after a short break)
-            const continuePlayingForm = document.querySelector('form[method="post"][action="neggsweeper.phtml"] input[type="submit"][value="Continue Playing"]');
-            if (continuePlayingForm) {
-                // console.log("[GameAutomation] Detected 'Continue Playing' form. Submitting to return to game.");
-                setTimeout(() => {
-                    continuePlayingForm.click();
-                }, getRandomDelay(MIN_ACTION_DELAY_MS, MAX_ACTION_DELAY_MS));
-                return; // Action taken, stop current flow
-            }
+        /**
+         * Checks the board again if a move leaves it unchanged, e.g. when the game ignored the click,
+         * so the next move does not wait for a change that never comes. Cancelled by the next board change.
+         * @private
+         */
+        _watchMove() {
+            this._cancelTimer(this.moveWatchdog);
+            this.moveWatchdog = this._schedule(() => {
+                this.moveWatchdog = null;
+                if (this.boardWatcher) {
+                    this.boardWatcher.refresh();
+                }
+            }, this._retryDelay());
+        }
 
-            // Fallback: If none of the above, navigate to the base game URL or refresh if already there
-            if (window.location.href !== GAME_URL) {
-                // console.log("[GameAutomation] Unknown page state. Redirecting to base game URL.");
-                setTimeout(() => {
-                    window.location.href = GAME_URL;
-                }, getRandomDelay(MIN_ACTION_DELAY_MS, MAX_ACTION_DELAY_MS));
-            } else {
-                // console.log("[GameAutomation] Correct page, but not in a recognized game state (e.g., Internal Error). Refreshing.");
-                setTimeout(() => {
-                    // Prevent POST resubmission warning by forcing a clean GET
-                    window.location.replace(GAME_URL);
-                }, getRandomDelay(MIN_ACTION_DELAY_MS, MAX_ACTION_DELAY_MS));
-            }
+        /**
+         * Gets a random delay before the next move, within the configured range.
+         * @returns {number} Delay in milliseconds.
+         * @private
+         */
+        _actionDelay() {
+            return getRandomDelay(this.settings.minActionDelayMs, this.settings.maxActionDelayMs);
+        }
+
+        /**
+         * Gets a random delay before re-evaluating the page, within the configured range.
+         * @returns {number} Delay in milliseconds.
+         * @private
+         */
+        _retryDelay() {
+            return getRandomDelay(this.settings.minRetryDelayMs, this.settings.maxRetryDelayMs);
         }
 
         /**
          * Handles selecting difficulty and clicking 'Play Again!!!'
+         * The level comes from the DifficultyPolicy; nothing is clicked once all level targets are reached.
          * @param {HTMLElement} difficultyForm The form element.
          * @private
          */
@@ -726,17 +1148,396 @@
             const playAgainButton = difficultyForm.querySelector('input[type="submit"][value="Play Again!!!"]');
 
             if (gameLevelSelect && playAgainButton) {
-                gameLevelSelect.value = DIFFICULTY; // Select Hard difficulty
-                setTimeout(() => {
+                if (this.runState.state === RUN_STATES.STOPPING) {
+                    // console.log("[GameAutomation] Stopped after the current game.");
+                    this.setRunState(RUN_STATES.STOPPED);
+                    return;
+                }
+
+                const stopReason = this.stopRules.check();
+                if (stopReason !== null) {
+                    // console.log(`[GameAutomation] Stop rule reached (${stopReason}). Halting automation.`);
+                    this.setRunState(RUN_STATES.STOPPED);
+                    return;
+                }
+
+                const level = this.difficultyPolicy.nextLevel();
+                if (level === null) {
+                    // console.log("[GameAutomation] All level targets reached for this session. Halting automation.");
+                    this.setRunState(RUN_STATES.STOPPED);
+                    return;
+                }
+
+                gameLevelSelect.value = level;
+                this._schedule(() => {
+                    this.difficultyPolicy.recordGameStarted(level);
+                    this.history.startGame(level);
                     playAgainButton.click();
-                    // console.log("[GameAutomation] Clicked 'Play Again!!!' (Hard).");
-                }, getRandomDelay(MIN_ACTION_DELAY_MS, MAX_ACTION_DELAY_MS));
+                    // console.log(`[GameAutomation] Clicked 'Play Again!!!' (level ${level}).`);
+                }, this._actionDelay());
             } else {
                 // console.log("[GameAutomation] Could not find difficulty select or Play Again button on form. Manual intervention may be needed.");
             }
         }
     }
 
+    /**
+     * Floating panel for changing the autoplayer settings on the page.
+     * Saved settings are validated, stored and applied to the running automation.
+     */
+    class SettingsPanel {
+        constructor(automation) {
+            this.automation = automation;
+            this.root = null;
+            this.status = null;
+        }
+
+        /**
+         * Adds the panel to the page, filled in with the current settings.
+         */
+        mount() {
+            if (this.root) {
+                return;
+            }
+
+            this.root = document.createElement('div');
+            this.root.id = 'neggsweeper-autoplayer-settings';
+            this.root.style.cssText = `
+                position: fixed; top: 10px; right: 10px; z-index: 10000;
+                background: white; border: 1px solid black; padding: 6px;
+                font: 12px sans-serif; max-width: 260px;
+            `;
+
+            const themeOptions = Object.entries(OVERLAY_THEMES).map(([value, theme]) => `<option value="${value}">${theme.name}</option>`).join('');
+            const levelOptions = Object.entries(GAME_LEVELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+            const strategyFields = Object.keys(DEFAULT_STRATEGIES)
+                .map(name => `<label><input type="checkbox" name="strategy-${name}"> ${name}</label><br>`)
+                .join('');
+            const targetFields = Object.entries(GAME_LEVELS)
+                .map(([value, label]) => `<label>${label} <input type="number" min="0" step="1" name="target-${value}" style="width: 40px;"></label> `)
+                .join('');
+
+            this.root.innerHTML = `
+                <details>
+                    <summary><b>Autoplayer settings</b></summary>
+                    <fieldset><legend>Delays (ms)</legend>
+                        <label>Move <input type="number" min="0" name="minActionDelayMs" style="width: 60px;"></label>
+                        to <input type="number" min="0" name="maxActionDelayMs" style="width: 60px;"><br>
+                        <label>Retry <input type="number" min="0" name="minRetryDelayMs" style="width: 60px;"></label>
+                        to <input type="number" min="0" name="maxRetryDelayMs" style="width: 60px;"><br>
+                        <label>After game over <input type="number" min="0" name="gameOverRestartDelayMs" style="width: 60px;"></label>
+                    </fieldset>
+                    <fieldset><legend>Difficulty</legend>
+                        <select name="difficultyMode">
+                            <option value="fixed">Fixed level</option>
+                            <option value="rotate">Rotate levels</option>
+                            <option value="targets">Games per level</option>
+                        </select><br>
+                        <label>Level <select name="fixedLevel">${levelOptions}</select></label><br>
+                        <label>Rotation <input type="text" name="rotationLevels" placeholder="1,2,3" style="width: 80px;"></label><br>
+                        ${targetFields}
+                    </fieldset>
+                    <fieldset><legend>Stop after (0 = never)</legend>
+                        <label><input type="number" min="0" name="stop-maxGames" style="width: 40px;"> games</label>
+                        <label><input type="number" min="0" name="stop-maxWins" style="width: 40px;"> wins</label><br>
+                        <label><input type="number" min="0" name="stop-maxConsecutiveLosses" style="width: 40px;"> losses in a row</label><br>
+                        <label><input type="number" min="0" name="stop-timeBudgetMinutes" style="width: 40px;"> minutes</label>
+                        <label>or at <input type="time" name="stop-stopAtTime"></label>
+                    </fieldset>
+                    <fieldset><legend>Strategies</legend>
+                        ${strategyFields}
+                        <label><input type="checkbox" name="placeFlags"> Flag bad neggs in the game</label>
+                    </fieldset>
+                    <fieldset><legend>Board overlay</legend>
+                        <label>Theme <select name="overlayTheme">${themeOptions}</select></label><br>
+                        <label><input type="checkbox" name="showGlyphs"> Show \u2713 \u2717 ? markers</label><br>
+                        <label><input type="checkbox" name="showOverlay"> Colour the board</label>
+                    </fieldset>
+                    <button type="button" data-action="save">Save</button>
+                    <button type="button" data-action="reset">Defaults</button>
+                    <div data-role="status"></div>
+                </details>
+            `;
+            this.status = this.root.querySelector('[data-role="status"]');
+            this.root.querySelector('[data-action="save"]').addEventListener('click', () => this.save());
+            this.root.querySelector('[data-action="reset"]').addEventListener('click', () => this.fill(DEFAULT_SETTINGS));
+
+            this.fill(this.automation.settings);
+            document.body.appendChild(this.root);
+        }
+
+        /**
+         * Writes settings into the form fields.
+         * @param {Object} settings The settings to show.
+         */
+        fill(settings) {
+            const field = name => this.root.querySelector(`[name="${name}"]`);
+            ['minActionDelayMs', 'maxActionDelayMs', 'minRetryDelayMs', 'maxRetryDelayMs', 'gameOverRestartDelayMs',
+                'difficultyMode', 'fixedLevel', 'overlayTheme'].forEach(name => {
+                field(name).value = String(settings[name]);
+            });
+            field('rotationLevels').value = settings.rotationLevels.join(',');
+            Object.keys(GAME_LEVELS).forEach(level => {
+                field(`target-${level}`).value = String(settings.levelTargets[level] || 0);
+            });
+            Object.keys(DEFAULT_STRATEGIES).forEach(name => {
+                field(`strategy-${name}`).checked = settings.strategies[name] !== false;
+            });
+            field('placeFlags').checked = Boolean(settings.placeFlags);
+            field('showGlyphs').checked = Boolean(settings.showGlyphs);
+            field('showOverlay').checked = Boolean(settings.showOverlay);
+            Object.keys(DEFAULT_SETTINGS.stopRules).forEach(name => {
+                field(`stop-${name}`).value = String(settings.stopRules[name]);
+            });
+        }
+
+        /**
+         * Reads the settings from the form fields. Values are not checked here, see validateSettings.
+         * @returns {Object} The settings entered in the panel.
+         */
+        read() {
+            const field = name => this.root.querySelector(`[name="${name}"]`);
+            const settings = {
+                difficultyMode: field('difficultyMode').value,
+                fixedLevel: field('fixedLevel').value,
+                rotationLevels: field('rotationLevels').value.split(',').map(level => level.trim()).filter(level => level !== ''),
+                levelTargets: {},
+                placeFlags: field('placeFlags').checked,
+                overlayTheme: field('overlayTheme').value,
+                showGlyphs: field('showGlyphs').checked,
+                showOverlay: field('showOverlay').checked,
+                strategies: {},
+                stopRules: { stopAtTime: field('stop-stopAtTime').value },
+            };
+            ['minActionDelayMs', 'maxActionDelayMs', 'minRetryDelayMs', 'maxRetryDelayMs', 'gameOverRestartDelayMs'].forEach(name => {
+                settings[name] = Number(field(name).value);
+            });
+            Object.keys(GAME_LEVELS).forEach(level => {
+                settings.levelTargets[level] = Number(field(`target-${level}`).value);
+            });
+            Object.keys(DEFAULT_STRATEGIES).forEach(name => {
+                settings.strategies[name] = field(`strategy-${name}`).checked;
+            });
+            ['maxGames', 'maxWins', 'maxConsecutiveLosses', 'timeBudgetMinutes'].forEach(name => {
+                settings.stopRules[name] = Number(field(`stop-${name}`).value);
+            });
+            return settings;
+        }
+
+        /**
+         * Validates the entered settings, then stores them and applies them to the automation.
+         * Invalid settings are neither stored nor applied.
+         * @returns {boolean} True if the settings were saved.
+         */
+        save() {
+            const settings = this.read();
+            const errors = validateSettings(settings);
+            if (errors.length > 0) {
+                this.status.style.color = 'red';
+                this.status.textContent = errors.join(' ');
+                return false;
+            }
+
+            saveStoredValue(STORAGE_KEYS.SETTINGS, settings);
+            Object.assign(this.automation.settings, settings); // Shared with the DifficultyPolicy
+            if (this.automation.visualizer) {
+                this.automation.visualizer.setVisible(settings.showOverlay);
+            }
+            this.status.style.color = 'green';
+            this.status.textContent = 'Settings saved.';
+            return true;
+        }
+    }
+
+    /**
+     * On-page buttons and keyboard shortcuts for starting, pausing and stopping the automation.
+     */
+    class RunControls {
+        constructor(automation) {
+            this.automation = automation;
+            this.root = null;
+            this.label = null;
+        }
+
+        /**
+         * Adds the buttons to the page and listens for the keyboard shortcuts.
+         */
+        mount() {
+            if (this.root) {
+                return;
+            }
+
+            this.root = document.createElement('div');
+            this.root.id = 'neggsweeper-autoplayer-controls';
+            this.root.style.cssText = `
+                position: fixed; bottom: 10px; right: 10px; z-index: 10000;
+                background: white; border: 1px solid black; padding: 6px;
+                font: 12px sans-serif;
+            `;
+            this.root.innerHTML = `
+                <b>Autoplayer:</b> <span data-role="state"></span><br>
+                <button type="button" data-action="${RUN_STATES.RUNNING}" title="Start or resume">Start</button>
+                <button type="button" data-action="${RUN_STATES.PAUSED}" title="Alt+Shift+${KEYBOARD_SHORTCUTS.PAUSE}">Pause</button>
+                <button type="button" data-action="${RUN_STATES.STOPPING}" title="Alt+Shift+${KEYBOARD_SHORTCUTS.STOP_AFTER_GAME}">Stop after game</button>
+                <button type="button" data-action="${RUN_STATES.STOPPED}" title="Alt+Shift+${KEYBOARD_SHORTCUTS.STOP}">Stop now</button>
+            `;
+            this.label = this.root.querySelector('[data-role="state"]');
+            this.root.querySelectorAll('button[data-action]').forEach(button => {
+                button.addEventListener('click', () => this.automation.setRunState(button.dataset.action));
+            });
+            document.addEventListener('keydown', event => this._onKeyDown(event));
+            this.automation.runStateListeners.push(() => this.refresh());
+
+            document.body.appendChild(this.root);
+            this.refresh();
+        }
+
+        /**
+         * Shows the current run state and enables the buttons that change it.
+         */
+        refresh() {
+            const current = this.automation.runState.state;
+            this.label.textContent = current;
+            this.root.querySelectorAll('button[data-action]').forEach(button => {
+                button.disabled = button.dataset.action === current;
+            });
+        }
+
+        /**
+         * Handles the Alt+Shift keyboard shortcuts.
+         * @param {KeyboardEvent} event The key press.
+         * @private
+         */
+        _onKeyDown(event) {
+            if (!event.altKey || !event.shiftKey) {
+                return;
+            }
+            // event.code names the physical key, so the shortcuts work whatever Alt+Shift types on the layout
+            switch (event.code) {
+                case `Key${KEYBOARD_SHORTCUTS.PAUSE}`:
+                    this.automation.setRunState(this.automation.runState.state === RUN_STATES.PAUSED ? RUN_STATES.RUNNING : RUN_STATES.PAUSED);
+                    break;
+                case `Key${KEYBOARD_SHORTCUTS.STOP_AFTER_GAME}`:
+                    this.automation.setRunState(RUN_STATES.STOPPING);
+                    break;
+                case `Key${KEYBOARD_SHORTCUTS.STOP}`:
+                    this.automation.setRunState(RUN_STATES.STOPPED);
+                    break;
+                default:
+                    return;
+            }
+            event.preventDefault();
+        }
+    }
+
+    /**
+     * Collapsible view of the game history: win rate per difficulty and streaks,
+     * with export and import of the history as JSON or CSV.
+     */
+    class StatsPanel {
+        constructor(history) {
+            this.history = history;
+            this.root = null;
+            this.summary = null;
+            this.body = null;
+            this.status = null;
+        }
+
+        /**
+         * Merges the games from an exported history file into the stored history.
+         * @param {Blob} file The JSON or CSV file.
+         */
+        importFile(file) {
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    const { added, skipped } = this.history.merge(parseHistoryFile(reader.result));
+                    this.status.textContent = `Imported ${added} games, skipped ${skipped} already known or invalid.`;
+                } catch (error) {
+                    console.error('StatsPanel: Could not import the game history.', error);
+                    this.status.textContent = `Import failed: ${error.message}`;
+                }
+            };
+            reader.onerror = () => {
+                this.status.textContent = 'Import failed: the file could not be read.';
+            };
+            reader.readAsText(file);
+        }
+
+        /**
+         * Adds the panel to the page and keeps it up to date as games finish.
+         */
+        mount() {
+            if (this.root) {
+                return;
+            }
+
+            this.root = document.createElement('div');
+            this.root.id = 'neggsweeper-autoplayer-stats';
+            this.root.style.cssText = `
+                position: fixed; bottom: 10px; left: 10px; z-index: 10000;
+                background: white; border: 1px solid black; padding: 6px;
+                font: 12px sans-serif;
+            `;
+            this.root.innerHTML = `
+                <details>
+                    <summary></summary>
+                    <div data-role="stats"></div>
+                    <button type="button" data-action="export-json">Export JSON</button>
+                    <button type="button" data-action="export-csv">Export CSV</button>
+                    <label>Import <input type="file" name="import" accept=".json,.csv,application/json,text/csv"></label>
+                    <div data-role="status"></div>
+                </details>
+            `;
+            this.summary = this.root.querySelector('summary');
+            this.body = this.root.querySelector('[data-role="stats"]');
+            this.status = this.root.querySelector('[data-role="status"]');
+            this.history.listeners.push(() => this.render());
+
+            const date = new Date().toISOString().slice(0, 10);
+            this.root.querySelector('[data-action="export-json"]').addEventListener('click', () => {
+                downloadFile(`neggsweeper-history-${date}.json`, 'application/json', JSON.stringify({ games: this.history.data.games }, null, 2));
+            });
+            this.root.querySelector('[data-action="export-csv"]').addEventListener('click', () => {
+                downloadFile(`neggsweeper-history-${date}.csv`, 'text/csv', historyToCsv(this.history.data.games));
+            });
+            this.root.querySelector('[name="import"]').addEventListener('change', event => {
+                const [file] = event.target.files;
+                if (file) {
+                    this.importFile(file);
+                }
+                event.target.value = '';
+            });
+
+            document.body.appendChild(this.root);
+            this.render();
+        }
+
+        /**
+         * Redraws the statistics from the history.
+         */
+        render() {
+            const stats = this.history.stats();
+            const rows = Object.keys(stats.levels).sort().map(level => {
+                const { games, wins, losses, winRate } = stats.levels[level];
+                return `<tr><td>${GAME_LEVELS[level] || level}</td><td>${games}</td><td>${wins}</td><td>${losses}</td><td>${(winRate * 100).toFixed(1)}%</td></tr>`;
+            }).join('');
+            const { result, length } = stats.currentStreak;
+            const streak = result ? `${length} ${result === 'won' ? 'won' : 'lost'} in a row` : 'none';
+
+            this.summary.innerHTML = `<b>Autoplayer stats</b> (${this.history.data.games.length} games)`;
+            this.body.innerHTML = `
+                <table data-role="levels">
+                    <tr><th>Level</th><th>Games</th><th>Won</th><th>Lost</th><th>Win rate</th></tr>
+                    ${rows}
+                </table>
+                Current streak: <span data-role="current-streak">${streak}</span><br>
+                Longest winning streak: <span data-role="longest-win-streak">${stats.longestWinStreak}</span><br>
+                Longest losing streak: <span data-role="longest-loss-streak">${stats.longestLossStreak}</span>
+            `;
+        }
+    }
+
     // --- Initial Script Execution ---
     let gameAutomationInstance = null; // Declare instance here to be accessible globally within the IIFE
 
@@ -745,7 +1546,10 @@
 
         // Start the main automation flow after a short delay to allow page rendering
         gameAutomationInstance = new GameAutomation(); // Initialize the instance
-        setTimeout(() => gameAutomationInstance.startGameSelector(), getRandomDelay(MIN_RETRY_DELAY_MS, MAX_RETRY_DELAY_MS));
+        new SettingsPanel(gameAutomationInstance).mount();
+        new RunControls(gameAutomationInstance).mount();
+        new StatsPanel(gameAutomationInstance.history).mount();
+        gameAutomationInstance.run();
     });
 
 })();
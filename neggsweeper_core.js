@@ -0,0 +1,1619 @@
+/**
+ * NeggSweeper Core
+ *
+ * Page classifier, board parser, board watcher, solver and board overlay shared by the NeggSweeper Helper and NeggSweeper Autoplayer.
+ * Both userscripts load this file through @require; it does not touch `window` or `document`
+ * and only works on the DOM nodes it is given, so the same code can also be loaded in Node.
+ *
+ * @author @willnjohnson
+ */
+
+var NeggSweeperCore = (function() {
+    'use strict';
+
+    const MAX_ENUMERATION_STEPS = 200000; // Search budget per frontier component when computing exact probabilities
+    const EPSILON = 1e-9; // Tolerance for the floating point sums of the linear constraint reduction
+
+    // Solver strategies that can be switched off, all enabled by default
+    const DEFAULT_STRATEGIES = {
+        neighbors: true, // Single-number rule (_solveByNeighbors)
+        subsets: true, // Subset rule between neighboring numbers (_solveByMultiple)
+        linearConstraints: true, // Gaussian elimination over all frontier constraints (_solveByLinearConstraints)
+        globalCount: true, // Remaining bad negg count (_solveByGlobalCount)
+        probabilities: true, // Exact probabilities and the best guess (_solveProbabilistically)
+    };
+
+    /**
+     * Blends two '#rrggbb' colours.
+     * @param {string} from Colour at 0.
+     * @param {string} to Colour at 1.
+     * @param {number} amount Between 0 and 1.
+     * @returns {string} The blended colour as 'rgb(r, g, b)'.
+     */
+    function mixColors(from, to, amount) {
+        const channels = color => [1, 3, 5].map(index => parseInt(color.slice(index, index + 2), 16));
+        const [a, b] = [channels(from), channels(to)];
+        return `rgb(${a.map((value, index) => Math.round(value + (b[index] - value) * amount)).join(', ')})`;
+    }
+
+    // Overlay themes shared by the helper and the autoplayer. Each gives the background, text colour and glyph
+    // for safe tiles, bad neggs, the suggested guess and contradicting flags, the outline of the numbers a hovered
+    // deduction came from, plus the heatmap shade for a probability.
+    const OVERLAY_THEMES = {
+        classic: {
+            name: 'Classic',
+            safe: { background: 'limegreen', color: 'black', glyph: '\u2713' },
+            mine: { background: 'red', color: 'black', glyph: '\u2717' },
+            guess: { background: 'yellow', color: 'black', glyph: '?' },
+            conflict: { background: 'orange', color: 'black', glyph: '!' },
+            source: { outline: 'blue' },
+            heat: probability => ({ background: `hsl(${Math.round(120 * (1 - probability))}, 85%, 60%)`, color: 'black' }),
+        },
+        colorBlind: {
+            // Okabe-Ito colours, which stay apart with the common colour vision deficiencies
+            name: 'Colour-blind safe',
+            safe: { background: '#56B4E9', color: 'black', glyph: '\u2713' },
+            mine: { background: '#D55E00', color: 'white', glyph: '\u2717' },
+            guess: { background: '#F0E442', color: 'black', glyph: '?' },
+            conflict: { background: '#CC79A7', color: 'black', glyph: '!' },
+            source: { outline: '#0072B2' },
+            heat: probability => ({ background: mixColors('#56B4E9', '#D55E00', probability), color: probability > 0.5 ? 'white' : 'black' }),
+        },
+        highContrast: {
+            name: 'High contrast',
+            safe: { background: 'white', color: 'black', glyph: '\u2713' },
+            mine: { background: 'black', color: 'white', glyph: '\u2717' },
+            guess: { background: 'yellow', color: 'black', glyph: '?' },
+            conflict: { background: 'magenta', color: 'black', glyph: '!' },
+            source: { outline: 'blue' },
+            heat: probability => ({ background: mixColors('#ffffff', '#000000', probability), color: probability > 0.5 ? 'white' : 'black' }),
+        },
+    };
+
+    const HEAT_STEPS = 10; // Heatmap shades per theme; each probability is rounded to the nearest step
+    const relatedCells = new WeakMap(); // Marked <td> -> the <td> elements outlined while it is hovered
+    const hoverTables = new WeakSet(); // Game tables with the hover listeners installed
+
+    /**
+     * Draws annotations on the game board without replacing any of the game's elements.
+     * Marked cells get classes and data attributes, styled by a stylesheet built from an overlay theme; the tile
+     * images and their click handlers stay where the game put them. Each userscript uses its own prefix.
+     */
+    class NeggSweeperOverlay {
+        /**
+         * @param {HTMLElement} table The game table.
+         * @param {string} prefix Prefix of the class names, attributes and stylesheet id, e.g. 'neggsweeper-helper'.
+         * @param {Object} [options]
+         * @param {Object} [options.theme=OVERLAY_THEMES.classic] Colours and glyphs, one of OVERLAY_THEMES.
+         */
+        constructor(table, prefix, { theme = OVERLAY_THEMES.classic } = {}) {
+            if (!table) {
+                throw new Error("NeggSweeperOverlay: Game table element is required.");
+            }
+            this.table = table;
+            this.prefix = prefix;
+            this.theme = theme;
+            this._installStyles();
+            this._watchHover();
+        }
+
+        /**
+         * Builds the stylesheet for the theme. Everything is scoped to tables without the hidden class,
+         * so hiding the overlay is a single class change.
+         * @returns {string} The CSS.
+         * @private
+         */
+        _styles() {
+            const p = this.prefix;
+            const scope = `table:not(.${p}-hidden) td.${p}-cell`;
+            const rules = [
+                `${scope} { position: relative; }`,
+                `${scope}:not(.${p}-conflict) > img { opacity: 0; }`, // Let the colour show, the image stays clickable
+                `${scope}.${p}-blocked > img { pointer-events: none; }`,
+                `table:not(.${p}-hidden) td.${p}-source { outline: 2px solid ${this.theme.source.outline}; outline-offset: -2px; }`,
+                `${scope}[data-${p}-label]::after { content: attr(data-${p}-label); position: absolute; top: 0; right: 0; bottom: 0; left: 0; display: flex; align-items: center; justify-content: center; font-size: small; font-weight: bold; pointer-events: none; }`,
+            ];
+            ['safe', 'mine', 'guess', 'conflict'].forEach(kind => {
+                const { background, color } = this.theme[kind];
+                rules.push(`${scope}.${p}-${kind} { background-color: ${background} !important; color: ${color}; }`);
+            });
+            for (let step = 0; step <= HEAT_STEPS; step++) {
+                const { background, color } = this.theme.heat(step / HEAT_STEPS);
+                rules.push(`${scope}.${p}-heat-${step} { background-color: ${background} !important; color: ${color}; }`);
+            }
+            return rules.join('\n');
+        }
+
+        /**
+         * Adds the stylesheet to the page, or updates it when the theme changed.
+         * @private
+         */
+        _installStyles() {
+            const doc = this.table.ownerDocument;
+            const id = `${this.prefix}-styles`;
+            let style = doc.getElementById(id);
+            if (!style) {
+                style = doc.createElement('style');
+                style.id = id;
+                (doc.head || doc.documentElement).appendChild(style);
+            }
+            const css = this._styles();
+            if (style.textContent !== css) {
+                style.textContent = css;
+            }
+        }
+
+        /**
+         * Outlines the related cells of a marked cell while the mouse is over it.
+         * The listeners go on the table once, so they survive redraws.
+         * @private
+         */
+        _watchHover() {
+            if (hoverTables.has(this.table)) {
+                return;
+            }
+            hoverTables.add(this.table);
+            const sourceClass = `${this.prefix}-source`;
+            const unhighlight = () => this.table.querySelectorAll(`.${sourceClass}`).forEach(domCell => {
+                domCell.classList.remove(sourceClass);
+                if (domCell.classList.length === 0) {
+                    domCell.removeAttribute('class');
+                }
+            });
+            this.table.addEventListener('mouseover', event => {
+                unhighlight();
+                const domCell = event.target.closest('td');
+                (relatedCells.get(domCell) || []).forEach(related => related.classList.add(sourceClass));
+            });
+            this.table.addEventListener('mouseleave', unhighlight);
+        }
+
+        /**
+         * Marks a cell.
+         * @param {HTMLElement} domCell The <td> element.
+         * @param {string} kind 'safe', 'mine', 'guess', 'conflict' or 'heat'.
+         * @param {Object} [options]
+         * @param {number} [options.probability] Bad negg probability, picks the shade of a 'heat' mark.
+         * @param {string} [options.label=''] Text drawn over the cell.
+         * @param {string|null} [options.title=null] Tooltip, unless the cell has one of its own.
+         * @param {boolean} [options.blocked=false] Ignore mouse clicks on the tile image.
+         * @param {Array<HTMLElement>} [options.related=[]] Cells to outline while the mouse is over this one.
+         */
+        mark(domCell, kind, { probability, label = '', title = null, blocked = false, related = [] } = {}) {
+            const p = this.prefix;
+            const className = kind === 'heat' ? `heat-${Math.round(probability * HEAT_STEPS)}` : kind;
+            domCell.classList.add(`${p}-cell`, `${p}-${className}`);
+            if (blocked) {
+                domCell.classList.add(`${p}-blocked`);
+            }
+            if (related.length > 0) {
+                relatedCells.set(domCell, related);
+            }
+            if (label) {
+                domCell.setAttribute(`data-${p}-label`, label);
+            }
+            if (title && (!domCell.hasAttribute('title') || domCell.hasAttribute(`data-${p}-title`))) {
+                domCell.title = title;
+                domCell.setAttribute(`data-${p}-title`, '');
+            }
+        }
+
+        /**
+         * Removes every mark from the table, leaving the cells as the game drew them.
+         */
+        clear() {
+            const p = this.prefix;
+            this.table.querySelectorAll(`td.${p}-cell, td.${p}-source`).forEach(domCell => {
+                relatedCells.delete(domCell);
+                Array.from(domCell.classList)
+                    .filter(className => className.startsWith(`${p}-`))
+                    .forEach(className => domCell.classList.remove(className));
+                if (domCell.classList.length === 0) {
+                    domCell.removeAttribute('class');
+                }
+                domCell.removeAttribute(`data-${p}-label`);
+                if (domCell.hasAttribute(`data-${p}-title`)) {
+                    domCell.removeAttribute('title');
+                    domCell.removeAttribute(`data-${p}-title`);
+                }
+            });
+        }
+
+        /**
+         * Shows or hides the marks without removing them.
+         * @param {boolean} visible Whether the marks are drawn.
+         */
+        setVisible(visible) {
+            this.table.classList.toggle(`${this.prefix}-hidden`, !visible);
+            if (this.table.classList.length === 0) {
+                this.table.removeAttribute('class');
+            }
+        }
+
+        /**
+         * Whether the marks are drawn.
+         * @returns {boolean} False once hidden with setVisible(false).
+         */
+        isVisible() {
+            return !this.table.classList.contains(`${this.prefix}-hidden`);
+        }
+    }
+
+    // Page states returned by classifyPage()
+    const PAGE_STATES = {
+        DIFFICULTY_SELECTION: 'difficultySelection', // The difficulty form, before the first game
+        IN_GAME: 'inGame', // A game board waiting for the next move
+        WON: 'won', // Win screen, with the difficulty form to start the next game
+        LOST: 'lost', // Lose screen, with the difficulty form to start the next game
+        CONTINUE_PLAYING: 'continuePlaying', // "You have a game in progress" interstitial
+        INTERNAL_ERROR: 'internalError', // Neopets error page
+        LOGGED_OUT: 'loggedOut', // Login page or logged out notice
+        MAINTENANCE: 'maintenance', // Site or game closed for maintenance
+        UNKNOWN: 'unknown', // Anything else
+    };
+
+    const GAMEPLAY_INDICATOR = 'Hold down the CONTROL key while clicking on a negg to add or remove a flag!';
+
+    // Board size and bad negg count per difficulty, keyed by the name shown next to the counter
+    const BOARD_LEVELS = {
+        Easy: { size: 9, mines: 10 },
+        Medium: { size: 12, mines: 25 },
+        Hard: { size: 14, mines: 40 },
+    };
+
+    // Attributes kept in the parser's HTML snapshots; everything else, event handlers included, is dropped
+    const SNAPSHOT_ATTRIBUTES = ['bgcolor', 'colspan', 'rowspan', 'align', 'valign', 'width', 'height', 'border', 'cellpadding', 'cellspacing', 'color', 'size', 'src'];
+    const MAX_SNAPSHOT_LENGTH = 50000; // Characters; longer snapshots are cut off
+    const MAX_LISTED_CELLS = 5; // Unreadable cells named in a diagnostic report
+
+    /**
+     * Works out which NeggSweeper page is shown. Game pages are recognised by their forms and texts first,
+     * so a stray word in the site's own layout cannot turn a board into an error page.
+     * @param {Document} doc The page.
+     * @returns {{state: string, difficultyForm: HTMLFormElement|null, continueButton: HTMLInputElement|null}}
+     *          One of PAGE_STATES, plus the form that starts a game and the "Continue Playing" button when present.
+     */
+    function classifyPage(doc) {
+        const text = (doc.body || doc.documentElement).textContent;
+        const difficultyForm = doc.querySelector('form[action="/games/neggsweeper/neggsweeper.phtml"][method="post"]');
+        const continueButton = doc.querySelector('form[method="post"][action="neggsweeper.phtml"] input[type="submit"][value="Continue Playing"]');
+        const page = state => ({ state, difficultyForm, continueButton });
+
+        if (text.includes('You Win!!!') || text.includes('You have won')) {
+            return page(PAGE_STATES.WON);
+        }
+        if (text.includes('You Lose!!!')) {
+            return page(PAGE_STATES.LOST);
+        }
+        if (continueButton) {
+            return page(PAGE_STATES.CONTINUE_PLAYING);
+        }
+        if (text.includes(GAMEPLAY_INDICATOR)) {
+            return page(PAGE_STATES.IN_GAME);
+        }
+        if (difficultyForm) {
+            return page(PAGE_STATES.DIFFICULTY_SELECTION);
+        }
+        if (/(undergoing|down for|closed for) maintenance/i.test(text)) {
+            return page(PAGE_STATES.MAINTENANCE);
+        }
+        if (doc.querySelector('form[action*="login"]') || /you are not logged in|please log in/i.test(text)) {
+            return page(PAGE_STATES.LOGGED_OUT);
+        }
+        if (/internal error|something has happened!/i.test(text)) {
+            return page(PAGE_STATES.INTERNAL_ERROR);
+        }
+        return page(PAGE_STATES.UNKNOWN);
+    }
+
+    /**
+     * Represents the NeggSweeper game grid and provides methods to parse it from the DOM.
+     * Only reads from the table element it is given, so it works on any DOM implementation.
+     */
+    class NeggSweeperGrid {
+        constructor(mainTableElement) {
+            if (!mainTableElement) {
+                throw new Error("NeggSweeperGrid: Main game table element is required.");
+            }
+            this.mainTable = mainTableElement;
+            this.remaining = null; // Bad neggs still hidden, as shown by the game's counter (null if not found)
+            this.level = null; // Difficulty name shown next to the counter, e.g. 'Hard' (null if not found, see diagnose())
+            this.grid = []; // Stores the parsed grid data (e.g., numbers, 'C', 'B')
+            this.domCellMap = new Map(); // Maps "r_c" string to the actual <td> DOM element
+        }
+
+        /**
+         * Parses the content of a single table cell (<td>) based on clarified definitions.
+         * @param {HTMLElement} cell The <td> element to parse.
+         * @returns {string|number} 'C' for covered/clickable, 'F' for flagged, 'B' for blank/cleared, a number for numbered tiles, or '?' for unknown.
+         * @private
+         */
+        static _parseCellContent(cell) {
+            // Earlier versions of the userscripts swapped the tile image for a coloured element that kept its attributes, so any [src] counts
+            const img = cell.querySelector('img, [src]');
+            const src = img ? img.getAttribute('src') || '' : '';
+            if (img && /flag/i.test(src.split('/').pop())) {
+                return 'F'; // Covered tile flagged by the player (CONTROL-click)
+            }
+            if (img && src.includes('images.neopets.com/x/gn.gif')) {
+                return 'C'; // Covered/Clickable tile
+            }
+
+            const font = cell.querySelector('font > b');
+            if (font) {
+                const value = parseInt(font.textContent.trim(), 10);
+                return isNaN(value) ? '?' : value; // Number or fallback
+            }
+
+            const cellInnerHTML = cell.innerHTML.trim();
+            // Whitespace are "islands that were cleared"
+            return (cellInnerHTML === '' || cellInnerHTML === '&nbsp;') ? 'B' : '?'; // Blank/Cleared tile
+        }
+
+        /**
+         * Parses the entire NeggSweeper game board from the DOM.
+         */
+        parse() {
+            // Clear previous state
+            this.grid = [];
+            this.domCellMap = new Map();
+
+            // 1. Get the 'remaining' tiles count
+            const remainingElement = this.mainTable.querySelector('tbody > tr[bgcolor="silver"] table[bgcolor="black"] > tbody > tr[bgcolor="white"] > td:first-child > b');
+            const remaining = remainingElement ? parseInt(remainingElement.textContent.trim(), 10) : NaN;
+            this.remaining = isNaN(remaining) ? null : remaining;
+            // console.log('NeggSweeperGrid: Remaining Tiles:', this.remaining);
+
+            const levelElement = this.mainTable.querySelector('tbody > tr[bgcolor="silver"] table[bgcolor="black"] > tbody > tr[bgcolor="white"] > td:nth-child(2) > b');
+            this.level = levelElement ? levelElement.textContent.trim() : null;
+
+            // 2. Parse the game grid rows
+            const gridRows = this.mainTable.querySelectorAll('tbody > tr[bgcolor="silver"] ~ tr[bgcolor="white"]');
+
+            if (gridRows.length === 0) {
+                // // console.warn('NeggSweeperGrid: No game grid rows found. Grid might be empty or HTML structure changed.');
+                return;
+            }
+
+            gridRows.forEach((row, rIdx) => {
+                const rowData = [];
+                const domCells = row.querySelectorAll('td');
+                domCells.forEach((cell, cIdx) => {
+                    rowData.push(NeggSweeperGrid._parseCellContent(cell));
+                    this.domCellMap.set(`${rIdx}_${cIdx}`, cell); // Store reference to DOM cell
+                });
+                this.grid.push(rowData);
+            });
+
+            // console.log('NeggSweeperGrid: Parsed NeggSweeper Grid (', this.grid.length, 'rows):');
+            this.grid.forEach(row => {
+                // console.log(row.join('\t'));
+            });
+        }
+
+        /**
+         * Gets the DOM cell element for a given coordinate.
+         * @param {number} r Row index.
+         * @param {number} c Column index.
+         * @returns {HTMLElement|null} The <td> element or null if not found.
+         */
+        getDomCell(r, c) {
+            return this.domCellMap.get(`${r}_${c}`) || null;
+        }
+
+        /**
+         * Gets the number of bad neggs still hidden on the board.
+         * The game's counter already subtracts the player's flags, so flagged tiles are added back.
+         * @returns {number|null} Hidden bad neggs, or null if the counter was not found.
+         */
+        getHiddenMineCount() {
+            if (this.remaining === null) return null;
+            return this.remaining + this.grid.reduce((count, row) => count + row.filter(value => value === 'F').length, 0);
+        }
+
+        /**
+         * Checks the parsed board for signs that the game's markup has changed under the parser:
+         * no rows, rows of different lengths, a size that does not match the difficulty, a missing or impossible
+         * remaining count, or cells that could not be read ('?').
+         * The difficulty is the one named next to the counter if the page shows a known one, else the one the caller
+         * selected, else the BOARD_LEVELS entry of the board's size; only a board that fits none of them is a problem.
+         * Call after parse().
+         * @param {Object} [options]
+         * @param {string|null} [options.level=null] Name of the difficulty the game was started with, e.g. 'Hard', if known.
+         * @returns {{ok: boolean, problems: Array<string>, level: string|null, rows: number, cols: number, remaining: number|null, snapshot: string|null}}
+         *          The problems found, what was parsed and, when something is wrong, a sanitized HTML snapshot of the table.
+         */
+        diagnose({ level: selectedLevel = null } = {}) {
+            const problems = [];
+            const rows = this.grid.length;
+            const cols = rows > 0 ? this.grid[0].length : 0;
+
+            if (rows === 0 || cols === 0) {
+                problems.push('No board rows found (tr[bgcolor="silver"] ~ tr[bgcolor="white"]).');
+            }
+            this.grid.forEach((row, r) => {
+                if (row.length !== cols) {
+                    problems.push(`Row ${r + 1} has ${row.length} cells, expected ${cols}.`);
+                }
+            });
+
+            const known = name => (Object.prototype.hasOwnProperty.call(BOARD_LEVELS, name) ? name : null);
+            const level = known(this.level) || known(selectedLevel)
+                || Object.keys(BOARD_LEVELS).find(name => BOARD_LEVELS[name].size === rows && BOARD_LEVELS[name].size === cols) || null;
+            const expected = level ? BOARD_LEVELS[level] : null;
+            if (rows > 0 && !expected) {
+                problems.push(`The board is ${rows}x${cols}, which does not match any difficulty.`);
+            } else if (rows > 0 && (rows !== expected.size || cols !== expected.size)) {
+                problems.push(`The ${level} board should be ${expected.size}x${expected.size}, found ${rows}x${cols}.`);
+            }
+
+            const hidden = this.getHiddenMineCount();
+            const undecided = this.grid.reduce((count, row) => count + row.filter(value => value === 'C' || value === 'F').length, 0);
+            if (this.remaining === null) {
+                problems.push('Remaining bad negg counter not found.');
+            } else if (hidden < 0 || (expected && hidden > expected.mines) || hidden > undecided) {
+                problems.push(`Remaining count ${this.remaining} does not fit a board with ${undecided} covered tiles${expected ? ` and ${expected.mines} bad neggs` : ''}.`);
+            }
+
+            const unreadable = [];
+            this.grid.forEach((row, r) => row.forEach((value, c) => {
+                if (value === '?') unreadable.push(`[${r}, ${c}]`);
+            }));
+            if (unreadable.length > 0) {
+                const listed = unreadable.slice(0, MAX_LISTED_CELLS).join(', ');
+                problems.push(`${unreadable.length} cell${unreadable.length === 1 ? '' : 's'} could not be read: ${listed}${unreadable.length > MAX_LISTED_CELLS ? ` and ${unreadable.length - MAX_LISTED_CELLS} more` : ''}.`);
+            }
+
+            return {
+                ok: problems.length === 0,
+                problems,
+                level,
+                rows,
+                cols,
+                remaining: this.remaining,
+                snapshot: problems.length === 0 ? null : NeggSweeperGrid.snapshot(this.mainTable),
+            };
+        }
+
+        /**
+         * Finds, parses and checks the game board of a page, see diagnose().
+         * @param {Document} doc The page.
+         * @param {Object} [options] Options for diagnose().
+         * @returns {{gameParser: NeggSweeperGrid|null, report: Object}} The parsed board (null without a game table) and its report.
+         */
+        static diagnosePage(doc, options = {}) {
+            const table = doc.querySelector('table[bgcolor="black"]');
+            if (!table) {
+                return {
+                    gameParser: null,
+                    report: { ok: false, problems: ['Game table not found (table[bgcolor="black"]).'], level: null, rows: 0, cols: 0, remaining: null, snapshot: null },
+                };
+            }
+            const gameParser = new NeggSweeperGrid(table);
+            gameParser.parse();
+            return { gameParser, report: gameParser.diagnose(options) };
+        }
+
+        /**
+         * Copies an element's markup for a bug report. Scripts, form fields, event handlers and any attribute
+         * not in SNAPSHOT_ATTRIBUTES are removed, as are the userscripts' own classes and data attributes,
+         * and image URLs lose their query strings.
+         * @param {HTMLElement} element The element, usually the game table.
+         * @returns {string} The sanitized HTML, at most MAX_SNAPSHOT_LENGTH characters.
+         */
+        static snapshot(element) {
+            const copy = element.cloneNode(true);
+            copy.querySelectorAll('script, style, input, textarea, select, iframe').forEach(node => node.remove());
+            [copy, ...copy.querySelectorAll('*')].forEach(node => {
+                Array.from(node.attributes).forEach(({ name, value }) => {
+                    if (!SNAPSHOT_ATTRIBUTES.includes(name)) {
+                        node.removeAttribute(name);
+                    } else if (name === 'src') {
+                        node.setAttribute(name, value.split('?')[0]);
+                    }
+                });
+            });
+            const html = copy.outerHTML;
+            return html.length > MAX_SNAPSHOT_LENGTH ? `${html.slice(0, MAX_SNAPSHOT_LENGTH)}<!-- cut off -->` : html;
+        }
+    }
+
+    /**
+     * Watches the page for changes to the game board and reports each new position once.
+     * Changes that leave the parsed board as it was, such as the userscripts' own colouring, are ignored.
+     */
+    class NeggSweeperBoardWatcher {
+        /**
+         * @param {Document|HTMLElement} root The node to observe; the game table may be replaced anywhere inside it.
+         * @param {function(NeggSweeperGrid): void} onBoardChange Called with a freshly parsed board whenever the position changes.
+         * @param {Object} [options]
+         * @param {number} [options.debounceMs=50] Quiet time after the last mutation before the board is parsed again.
+         */
+        constructor(root, onBoardChange, { debounceMs = 50 } = {}) {
+            if (!root) {
+                throw new Error("NeggSweeperBoardWatcher: Root node is required.");
+            }
+            this.root = root;
+            this.onBoardChange = onBoardChange;
+            this.debounceMs = debounceMs;
+            this.observer = null;
+            this.pendingCheck = null; // Timeout id of the debounced check
+            this.table = null; // Game table of the last reported position
+            this.signature = null; // Remaining count and grid of the last reported position
+        }
+
+        /**
+         * Starts observing, and reports the current position if there is one.
+         * @returns {boolean} True if a position was reported.
+         */
+        start() {
+            if (this.observer) {
+                return false;
+            }
+            const view = (this.root.ownerDocument || this.root).defaultView;
+            this.observer = new view.MutationObserver(() => this._scheduleCheck());
+            this.observer.observe(this.root, { childList: true, subtree: true, characterData: true, attributes: true, attributeFilter: ['src'] });
+            return this.check();
+        }
+
+        /**
+         * Stops observing.
+         */
+        stop() {
+            if (this.observer) {
+                this.observer.disconnect();
+                this.observer = null;
+            }
+            clearTimeout(this.pendingCheck);
+            this.pendingCheck = null;
+        }
+
+        /**
+         * Forgets the last position and reports the current one again.
+         * @returns {boolean} True if a position was reported.
+         */
+        refresh() {
+            this.table = null;
+            this.signature = null;
+            return this.check();
+        }
+
+        /**
+         * Parses the board and reports it if the position changed since the last report.
+         * @returns {boolean} True if a new position was reported.
+         */
+        check() {
+            const table = this.root.querySelector('table[bgcolor="black"]');
+            if (!table) {
+                return false;
+            }
+            const gameParser = new NeggSweeperGrid(table);
+            gameParser.parse();
+            if (gameParser.grid.length === 0 || gameParser.grid[0].length === 0) {
+                return false;
+            }
+
+            const signature = JSON.stringify([gameParser.remaining, gameParser.grid]);
+            if (table === this.table && signature === this.signature) {
+                return false;
+            }
+            this.table = table;
+            this.signature = signature;
+            this.onBoardChange(gameParser);
+            return true;
+        }
+
+        /**
+         * Checks the board once the page has been quiet for `debounceMs`.
+         * @private
+         */
+        _scheduleCheck() {
+            clearTimeout(this.pendingCheck);
+            this.pendingCheck = setTimeout(() => {
+                this.pendingCheck = null;
+                this.check();
+            }, this.debounceMs);
+        }
+    }
+
+    /**
+     * Solves the NeggSweeper grid using various strategies.
+     */
+    class NeggSweeperSolver {
+        /**
+         * @param {Array<Array<string|number>>} initialGrid The parsed grid (NeggSweeperGrid.grid). An 'X' marks a bad negg
+         *        that is already known, e.g. from an earlier pass; the parser itself never reads one.
+         * @param {number|null} [totalMines=null] Bad neggs still hidden on the board, or null if unknown.
+         * @param {Object} [options]
+         * @param {Object<string, boolean>} [options.strategies] Strategies to switch on or off, see DEFAULT_STRATEGIES.
+         */
+        constructor(initialGrid, totalMines = null, { strategies = {} } = {}) {
+            // Deductions are kept in the sets below; the copy of the board is never written to
+            this.grid = initialGrid.map(row => [...row]);
+            this.rows = this.grid.length;
+            this.cols = this.grid[0] ? this.grid[0].length : 0;
+            this.totalMines = totalMines; // Bad neggs still hidden on the board (NeggSweeperGrid.remaining), or null if unknown
+            this.strategies = { ...DEFAULT_STRATEGIES, ...strategies };
+
+            // Store coordinates of identified cells
+            this.safeCoords = new Set(); // Stores "r_c" strings for safe cells
+            this.mineCoords = new Set(); // Stores "r_c" strings for mine cells
+            this.uncertainCoords = null; // Stores "[r, c]" array for the best probabilistic guess
+            this.probabilities = new Map(); // Maps "r_c" to the probability that the cell holds a bad negg
+            this.flagConflicts = new Set(); // Stores "r_c" strings for player flags the deductions prove safe
+            this.explanations = new Map(); // Maps "r_c" to why the cell was decided, see _markCell
+            this.contradictions = []; // Impossible parts of the board found by validate(), with the cells involved
+
+            // console.log(`NeggSweeperSolver: Initialized with ${this.rows}x${this.cols} grid.`);
+            // console.log('NeggSweeperSolver: Input Grid (DEBUG):');
+            this.grid.forEach(row => {
+                // console.log(row.join('\t'));
+            });
+        }
+
+        /**
+         * Checks if a given coordinate is within the grid boundaries.
+         * @param {number} r Row index.
+         * @param {number} c Column index.
+         * @returns {boolean} True if valid, false otherwise.
+         * @private
+         */
+        _isValid(r, c) {
+            return r >= 0 && r < this.rows && c >= 0 && c < this.cols;
+        }
+
+        /**
+         * Gets the coordinates of valid neighbors for a given cell.
+         * @param {number} r Row index.
+         * @param {number} c Column index.
+         * @returns {Array<Array<number>>} An array of [row, col] pairs for valid neighbors.
+         * @private
+         */
+        _getNeighbors(r, c) {
+            const neighbors = [];
+            for (let dr = -1; dr <= 1; dr++) {
+                for (let dc = -1; dc <= 1; dc++) {
+                    if (dr === 0 && dc === 0) continue; // Skip the cell itself
+                    const nr = r + dr;
+                    const nc = c + dc;
+                    if (this._isValid(nr, nc)) {
+                        neighbors.push([nr, nc]);
+                    }
+                }
+            }
+            return neighbors;
+        }
+
+        /**
+         * Checks whether a cell value is still undecided: covered ('C'), flagged by the player ('F')
+         * or unrecognised by the parser ('?').
+         * @param {string|number} value The grid value.
+         * @returns {boolean} True if the cell may still hold a bad negg.
+         * @private
+         */
+        _isUnknown(value) {
+            return value === 'C' || value === 'F' || value === '?';
+        }
+
+        /**
+         * Checks whether a cell is a known bad negg: given as 'X' or deduced by the solver.
+         * @param {number} r Row index.
+         * @param {number} c Column index.
+         * @returns {boolean} True if the cell holds a bad negg.
+         * @private
+         */
+        _isMine(r, c) {
+            return this.grid[r][c] === 'X' || this.mineCoords.has(`${r}_${c}`);
+        }
+
+        /**
+         * Checks whether a cell may still hold a bad negg and has not been decided yet.
+         * Unreadable tiles ('?') stay undecided for good: they may hide a bad negg, but the parser
+         * could not tell whether there is anything to click, so they are never marked or recommended.
+         * @param {number} r Row index.
+         * @param {number} c Column index.
+         * @returns {boolean} True if the cell is unknown and not in `this.safeCoords` or `this.mineCoords`.
+         * @private
+         */
+        _isUndecided(r, c) {
+            const id = `${r}_${c}`;
+            return this._isUnknown(this.grid[r][c]) && !this.safeCoords.has(id) && !this.mineCoords.has(id);
+        }
+
+        /**
+         * Names a cell for the explanations, counting rows and columns from 1 as a player would.
+         * @param {number} r Row index.
+         * @param {number} c Column index.
+         * @returns {string} E.g. "row 3, column 5".
+         * @private
+         */
+        static _cellName(r, c) {
+            return `row ${r + 1}, column ${c + 1}`;
+        }
+
+        /**
+         * Lists the numbered neighbors of a cell.
+         * @param {number} r Row index.
+         * @param {number} c Column index.
+         * @returns {Array<Array<number>>} [row, col] pairs of the neighbors showing a number.
+         * @private
+         */
+        _getNumberedNeighbors(r, c) {
+            return this._getNeighbors(r, c).filter(([nr, nc]) => typeof this.grid[nr][nc] === 'number');
+        }
+
+        /**
+         * Decides an undecided cell: safe ('S') or a mine ('X').
+         * A player flag that the deductions prove safe is left undecided and recorded in `this.flagConflicts` instead.
+         * Updates `this.safeCoords` and `this.mineCoords`, and records the reason in `this.explanations`.
+         * @param {number} r Row index.
+         * @param {number} c Column index.
+         * @param {string} value 'S' or 'X'.
+         * @param {{rule: string, sources: Array<Array<number>>, text: string}} [reason] The strategy that decided the cell
+         *        ('neighbors', 'subsets', 'linearConstraints', 'globalCount' or 'probabilities'), the numbered cells it used and a sentence for the player.
+         * @returns {boolean} True if the cell was decided, false otherwise.
+         * @private
+         */
+        _markCell(r, c, value, reason = null) {
+            if (!this._isUndecided(r, c) || this.grid[r][c] === '?') return false;
+            if (this.grid[r][c] === 'F' && value === 'S') {
+                if (!this.flagConflicts.has(`${r}_${c}`)) {
+                    // console.warn(`NeggSweeperSolver: Flag on [${r}, ${c}] contradicts the deductions, this negg is safe.`);
+                    this.flagConflicts.add(`${r}_${c}`);
+                    this._explain(r, c, value, reason);
+                }
+                return false;
+            }
+            (value === 'S' ? this.safeCoords : this.mineCoords).add(`${r}_${c}`);
+            this._explain(r, c, value, reason);
+            return true;
+        }
+
+        /**
+         * Records why a cell was decided.
+         * @param {number} r Row index.
+         * @param {number} c Column index.
+         * @param {string} value 'S', 'X' or '?'.
+         * @param {{rule: string, sources: Array<Array<number>>, text: string}|null} reason See _markCell.
+         * @private
+         */
+        _explain(r, c, value, reason) {
+            if (reason) {
+                this.explanations.set(`${r}_${c}`, { value, ...reason });
+            }
+        }
+
+        /**
+         * Returns why a cell was decided.
+         * @param {number} r Row index.
+         * @param {number} c Column index.
+         * @returns {{value: string, rule: string, sources: Array<Array<number>>, text: string}|null}
+         *          The decision ('S', 'X' or '?'), the strategy, the numbered cells it used and a sentence for the player,
+         *          or null if the cell was not decided.
+         */
+        getExplanation(r, c) {
+            return this.explanations.get(`${r}_${c}`) || null;
+        }
+
+        /**
+         * Applies the primary neighbor-based deduction rules.
+         * Decides bad neggs and safe cells around each number.
+         * Updates `this.safeCoords` and `this.mineCoords`.
+         * @returns {boolean} True if any cell was decided, false otherwise.
+         * @private
+         */
+        _solveByNeighbors() {
+            let changed = false;
+            for (let r = 0; r < this.rows; r++) {
+                for (let c = 0; c < this.cols; c++) {
+                    const cellValue = this.grid[r][c];
+
+                    if (typeof cellValue === 'number') {
+                        const neighbors = this._getNeighbors(r, c);
+                        let unknownCoveredNeighbors = []; // Undecided 'C', '?' or 'F'
+                        let mineNeighborsCount = 0;
+
+                        neighbors.forEach(([nr, nc]) => {
+                            if (this._isMine(nr, nc)) {
+                                mineNeighborsCount++;
+                            } else if (this._isUndecided(nr, nc)) {
+                                unknownCoveredNeighbors.push([nr, nc]);
+                            }
+                        });
+
+                        const minesRemaining = cellValue - mineNeighborsCount;
+                        const source = `The ${cellValue} at ${NeggSweeperSolver._cellName(r, c)}`;
+
+                        // Rule 1: If remaining mines equals unknown covered neighbors, all unknown are mines
+                        if (minesRemaining > 0 && minesRemaining === unknownCoveredNeighbors.length) {
+                            const reason = {
+                                rule: 'neighbors',
+                                sources: [[r, c]],
+                                text: `${source} needs ${minesRemaining} more bad negg${minesRemaining === 1 ? '' : 's'} and has only ${minesRemaining} covered neighbor${minesRemaining === 1 ? '' : 's'} left.`,
+                            };
+                            unknownCoveredNeighbors.forEach(([nr, nc]) => {
+                                if (this._markCell(nr, nc, 'X', reason)) {
+                                    changed = true;
+                                }
+                            });
+                        }
+                        // Rule 2: If all mines are accounted for, all unknown covered are safe
+                        else if (minesRemaining === 0 && unknownCoveredNeighbors.length > 0) {
+                            const reason = {
+                                rule: 'neighbors',
+                                sources: [[r, c]],
+                                text: `${source} already touches all of its ${cellValue} bad negg${cellValue === 1 ? '' : 's'}, so its other covered neighbors are safe.`,
+                            };
+                            unknownCoveredNeighbors.forEach(([nr, nc]) => {
+                                if (this._markCell(nr, nc, 'S', reason)) {
+                                    changed = true;
+                                }
+                            });
+                        }
+                    }
+                }
+            }
+            return changed;
+        }
+
+        /**
+         * Applies a basic "subset" deduction strategy for multiple cells.
+         * Updates `this.safeCoords` and `this.mineCoords`.
+         * @returns {boolean} True if any cell was decided, false otherwise.
+         * @private
+         */
+        _solveByMultiple() {
+            let changed = false;
+
+            // Explains a deduction where every covered neighbor of the number at `a` is also next to the number at `b`
+            const subsetReason = ([ar, ac], [br, bc], value, count) => {
+                const first = `the ${this.grid[ar][ac]} at ${NeggSweeperSolver._cellName(ar, ac)}`;
+                const second = `the ${this.grid[br][bc]} at ${NeggSweeperSolver._cellName(br, bc)}`;
+                const plural = count === 1 ? '' : 's';
+                return {
+                    rule: 'subsets',
+                    sources: [[ar, ac], [br, bc]],
+                    text: `Every covered neighbor of ${first} is also next to ${second}. ` + (value === 'X'
+                        ? `The ${this.grid[br][bc]} needs ${count} more bad negg${plural} than that, and has exactly ${count} other covered neighbor${plural} to hide ${count === 1 ? 'it' : 'them'}.`
+                        : `Both still need the same number of bad neggs, so the other covered neighbors of the ${this.grid[br][bc]} are safe.`),
+                };
+            };
+
+            for (let r = 0; r < this.rows; r++) {
+                for (let c = 0; c < this.cols; c++) {
+                    const cellValue = this.grid[r][c];
+
+                    if (typeof cellValue === 'number') {
+                        const neighbors1 = this._getNeighbors(r, c);
+                        const unknownCoveredNeighbors1 = neighbors1.filter(([nr, nc]) => this._isUndecided(nr, nc));
+                        const mineNeighbors1 = neighbors1.filter(([nr, nc]) => this._isMine(nr, nc)).length;
+                        const requiredMines1 = cellValue - mineNeighbors1;
+
+                        neighbors1.forEach(([r2, c2]) => {
+                            const cellValue2 = this.grid[r2][c2];
+                            if (typeof cellValue2 === 'number') {
+                                const neighbors2 = this._getNeighbors(r2, c2);
+                                const unknownCoveredNeighbors2 = neighbors2.filter(([nr, nc]) => this._isUndecided(nr, nc));
+                                const mineNeighbors2 = neighbors2.filter(([nr, nc]) => this._isMine(nr, nc)).length;
+                                const requiredMines2 = cellValue2 - mineNeighbors2;
+
+                                const set1 = new Set(unknownCoveredNeighbors1.map(coord => coord.join(',')));
+                                const set2 = new Set(unknownCoveredNeighbors2.map(coord => coord.join(',')));
+
+                                // Check if set1 is a subset of set2
+                                const isSubset1of2 = Array.from(set1).every(coord => set2.has(coord));
+                                if (isSubset1of2 && set1.size < set2.size) {
+                                    const uniqueToSet2 = Array.from(set2).filter(coord => !set1.has(coord)).map(coordStr => coordStr.split(',').map(Number));
+                                    const mineDiff = requiredMines2 - requiredMines1;
+
+                                    if (mineDiff === uniqueToSet2.length) {
+                                        const reason = subsetReason([r, c], [r2, c2], 'X', mineDiff);
+                                        uniqueToSet2.forEach(([nr, nc]) => {
+                                            if (this._markCell(nr, nc, 'X', reason)) {
+                                                changed = true;
+                                            }
+                                        });
+                                    } else if (mineDiff === 0) {
+                                        const reason = subsetReason([r, c], [r2, c2], 'S', 0);
+                                        uniqueToSet2.forEach(([nr, nc]) => {
+                                            if (this._markCell(nr, nc, 'S', reason)) {
+                                                changed = true;
+                                            }
+                                        });
+                                    }
+                                }
+
+                                // Symmetric case: Check if set2 is a subset of set1
+                                const isSubset2of1 = Array.from(set2).every(coord => set1.has(coord));
+                                if (isSubset2of1 && set2.size < set1.size) {
+                                    const uniqueToSet1 = Array.from(set1).filter(coord => !set2.has(coord)).map(coordStr => coordStr.split(',').map(Number));
+                                    const mineDiff = requiredMines1 - requiredMines2;
+
+                                    if (mineDiff === uniqueToSet1.length) {
+                                        const reason = subsetReason([r2, c2], [r, c], 'X', mineDiff);
+                                        uniqueToSet1.forEach(([nr, nc]) => {
+                                            if (this._markCell(nr, nc, 'X', reason)) {
+                                                changed = true;
+                                            }
+                                        });
+                                    } else if (mineDiff === 0) {
+                                        const reason = subsetReason([r2, c2], [r, c], 'S', 0);
+                                        uniqueToSet1.forEach(([nr, nc]) => {
+                                            if (this._markCell(nr, nc, 'S', reason)) {
+                                                changed = true;
+                                            }
+                                        });
+                                    }
+                                }
+                            }
+                        });
+                    }
+                }
+            }
+            return changed;
+        }
+
+        /**
+         * Reduces the constraints of a frontier component to reduced row echelon form with Gauss-Jordan elimination.
+         * Each constraint is a row: the sum of its cells (1 for a bad negg, 0 for a clear tile) equals its count.
+         * Every reduced row remembers the numbers it was combined from, for the explanations.
+         * @param {{cells: Array<string>, constraints: Array<{cells: Array<string>, mines: number, source: Array<number>}>}} component
+         *        A component from _groupConstraints().
+         * @returns {Array<{coefficients: Array<number>, mines: number, sources: Set<number>}>} The reduced rows, with one
+         *          coefficient per component cell and the indices of the constraints they came from.
+         * @private
+         */
+        _reduceConstraints({ cells, constraints }) {
+            const cellIndex = new Map(cells.map((id, i) => [id, i]));
+            const rows = constraints.map(({ cells: ids, mines }, index) => {
+                const coefficients = new Array(cells.length).fill(0);
+                ids.forEach(id => { coefficients[cellIndex.get(id)] = 1; });
+                return { coefficients, mines, sources: new Set([index]) };
+            });
+
+            let pivotRow = 0;
+            for (let col = 0; col < cells.length && pivotRow < rows.length; col++) {
+                const found = rows.findIndex((row, i) => i >= pivotRow && Math.abs(row.coefficients[col]) > EPSILON);
+                if (found === -1) continue;
+                [rows[pivotRow], rows[found]] = [rows[found], rows[pivotRow]];
+
+                const pivot = rows[pivotRow];
+                const scale = pivot.coefficients[col];
+                pivot.coefficients = pivot.coefficients.map(value => value / scale);
+                pivot.mines /= scale;
+
+                rows.forEach((row, i) => {
+                    const factor = row.coefficients[col];
+                    if (i === pivotRow || Math.abs(factor) <= EPSILON) return;
+                    row.coefficients = row.coefficients.map((value, j) => value - factor * pivot.coefficients[j]);
+                    row.mines -= factor * pivot.mines;
+                    pivot.sources.forEach(index => row.sources.add(index));
+                });
+                pivotRow++;
+            }
+            return rows;
+        }
+
+        /**
+         * Finds the safe cells and mines that follow from the frontier constraints taken all together.
+         * The constraints of each component are reduced (see _reduceConstraints), which chains any number of
+         * numbers instead of the pairs compared by _solveByMultiple(). As every cell is 0 or 1, a reduced row
+         * whose count equals the smallest or largest sum its coefficients allow decides all of its cells.
+         * Updates `this.safeCoords` and `this.mineCoords`.
+         * @returns {boolean} True if any cell was decided, false otherwise.
+         * @private
+         */
+        _solveByLinearConstraints() {
+            let changed = false;
+            this._groupConstraints(this._getFrontierConstraints()).forEach(component => {
+                this._reduceConstraints(component).forEach(({ coefficients, mines, sources }) => {
+                    const lowest = coefficients.reduce((sum, value) => sum + Math.min(value, 0), 0);
+                    const highest = coefficients.reduce((sum, value) => sum + Math.max(value, 0), 0);
+                    if (highest - lowest <= EPSILON) return; // Nothing left in this row
+                    const atLowest = Math.abs(mines - lowest) <= EPSILON;
+                    if (!atLowest && Math.abs(mines - highest) > EPSILON) return;
+
+                    const numbers = Array.from(sources, index => component.constraints[index].source);
+                    coefficients.forEach((value, i) => {
+                        if (Math.abs(value) <= EPSILON) return;
+                        // At the lowest sum, cells counted positively are clear and the others bad neggs; the reverse at the highest
+                        const isMine = (value > 0) !== atLowest;
+                        const [r, c] = component.cells[i].split('_').map(Number);
+                        if (this._markCell(r, c, isMine ? 'X' : 'S', this._linearReason(numbers, isMine))) {
+                            changed = true;
+                        }
+                    });
+                });
+            });
+            return changed;
+        }
+
+        /**
+         * Explains a deduction of _solveByLinearConstraints().
+         * @param {Array<Array<number>>} numbers [row, col] of the numbers the reduced row was combined from.
+         * @param {boolean} isMine Whether the cell was found to be a bad negg.
+         * @returns {{rule: string, sources: Array<Array<number>>, text: string}} The reason, see _markCell.
+         * @private
+         */
+        _linearReason(numbers, isMine) {
+            const name = ([r, c], article) => `${article} ${this.grid[r][c]} at ${NeggSweeperSolver._cellName(r, c)}`;
+            const outcome = isMine ? 'hides a bad negg' : 'is clear';
+            const names = numbers.map(number => name(number, 'the'));
+            return {
+                rule: 'linearConstraints',
+                sources: numbers,
+                text: numbers.length > 1
+                    ? `Taken together, ${names.slice(0, -1).join(', ')} and ${names[names.length - 1]} only add up if this tile ${outcome}.`
+                    : `${name(numbers[0], 'The')} only adds up if this tile ${outcome}.`,
+            };
+        }
+
+        /**
+         * Applies the global bad negg count to all covered cells.
+         * If every remaining bad negg is already marked, all unknown covered cells are safe;
+         * if the unknown covered cells are exactly as many as the unmarked bad neggs, they are all mines.
+         * Updates `this.safeCoords` and `this.mineCoords`.
+         * @returns {boolean} True if any cell was decided, false otherwise.
+         * @private
+         */
+        _solveByGlobalCount() {
+            if (!Number.isInteger(this.totalMines)) return false;
+
+            const unknownCells = [];
+            for (let r = 0; r < this.rows; r++) {
+                for (let c = 0; c < this.cols; c++) {
+                    if (this._isUndecided(r, c)) {
+                        unknownCells.push([r, c]);
+                    }
+                }
+            }
+            const minesLeft = this.totalMines - this._countMarkedMines();
+            if (unknownCells.length === 0 || (minesLeft !== 0 && minesLeft !== unknownCells.length)) return false;
+
+            const value = minesLeft === 0 ? 'S' : 'X';
+            const reason = {
+                rule: 'globalCount',
+                sources: [],
+                text: value === 'S'
+                    ? `All ${this.totalMines} remaining bad negg${this.totalMines === 1 ? ' is' : 's are'} accounted for, so every other covered tile is safe.`
+                    : `Only ${minesLeft} covered tile${minesLeft === 1 ? ' is' : 's are'} left for the ${minesLeft} remaining bad negg${minesLeft === 1 ? '' : 's'}.`,
+            };
+            let changed = false;
+            unknownCells.forEach(([r, c]) => {
+                if (this._markCell(r, c, value, reason)) {
+                    changed = true;
+                }
+            });
+            return changed;
+        }
+
+        /**
+         * Collects one constraint per numbered cell that still has unknown covered neighbors.
+         * Each constraint says how many of those neighbors hide a bad negg.
+         * @returns {Array<{cells: Array<string>, mines: number, source: Array<number>}>} Constraints keyed by "r_c" cell ids,
+         *          with the [row, col] of the number they come from.
+         * @private
+         */
+        _getFrontierConstraints() {
+            const constraints = [];
+            for (let r = 0; r < this.rows; r++) {
+                for (let c = 0; c < this.cols; c++) {
+                    const cellValue = this.grid[r][c];
+                    if (typeof cellValue !== 'number') continue;
+
+                    const cells = [];
+                    let mineNeighborsCount = 0;
+                    this._getNeighbors(r, c).forEach(([nr, nc]) => {
+                        if (this._isMine(nr, nc)) {
+                            mineNeighborsCount++;
+                        } else if (this._isUndecided(nr, nc)) {
+                            cells.push(`${nr}_${nc}`);
+                        }
+                    });
+
+                    if (cells.length > 0) {
+                        constraints.push({ cells, mines: cellValue - mineNeighborsCount, source: [r, c] });
+                    }
+                }
+            }
+            return constraints;
+        }
+
+        /**
+         * Splits the frontier constraints into independent components.
+         * Two constraints belong to the same component when they share a covered cell,
+         * so each component can be enumerated on its own.
+         * @param {Array<{cells: Array<string>, mines: number}>} constraints Frontier constraints.
+         * @returns {Array<{cells: Array<string>, constraints: Array<{cells: Array<string>, mines: number}>}>} The components.
+         * @private
+         */
+        _groupConstraints(constraints) {
+            const parent = new Map();
+            const find = id => {
+                while (parent.get(id) !== id) {
+                    parent.set(id, parent.get(parent.get(id))); // Path halving
+                    id = parent.get(id);
+                }
+                return id;
+            };
+
+            constraints.forEach(({ cells }) => {
+                cells.forEach(id => {
+                    if (!parent.has(id)) parent.set(id, id);
+                });
+                for (let i = 1; i < cells.length; i++) {
+                    parent.set(find(cells[i]), find(cells[0]));
+                }
+            });
+
+            const components = new Map();
+            constraints.forEach(constraint => {
+                const root = find(constraint.cells[0]);
+                if (!components.has(root)) {
+                    components.set(root, { cells: [], seen: new Set(), constraints: [] });
+                }
+                const component = components.get(root);
+                component.constraints.push(constraint);
+                // Cells are ordered by the constraints that introduce them, which keeps neighbors close together for pruning
+                constraint.cells.forEach(id => {
+                    if (!component.seen.has(id)) {
+                        component.seen.add(id);
+                        component.cells.push(id);
+                    }
+                });
+            });
+
+            return Array.from(components.values()).map(({ cells, constraints }) => ({ cells, constraints }));
+        }
+
+        /**
+         * Enumerates every mine arrangement of a component that satisfies all of its constraints.
+         * Results are bucketed by how many bad neggs the arrangement uses, so they can be weighted
+         * against the global remaining count.
+         * @param {{cells: Array<string>, constraints: Array<{cells: Array<string>, mines: number}>}} component The component to enumerate.
+         * @returns {{solutionsByMines: Array<number>, cellMineCountsByMines: Array<Array<number>>}|null}
+         *          For each mine count k, the number of consistent arrangements using k mines and, per cell,
+         *          how many of them place a bad negg there. Null if the enumeration budget was exceeded.
+         * @private
+         */
+        _enumerateComponent(component) {
+            const { cells } = component;
+            const cellIndex = new Map(cells.map((id, i) => [id, i]));
+            const constraints = component.constraints.map(({ cells: ids, mines }) => ({
+                indices: ids.map(id => cellIndex.get(id)),
+                mines,
+            }));
+
+            const constraintsByCell = cells.map(() => []);
+            constraints.forEach((constraint, ci) => constraint.indices.forEach(i => constraintsByCell[i].push(ci)));
+
+            const placed = constraints.map(() => 0); // Mines already assigned per constraint
+            const open = constraints.map(constraint => constraint.indices.length); // Cells not yet assigned per constraint
+            const assignment = new Array(cells.length).fill(0);
+            const solutionsByMines = new Array(cells.length + 1).fill(0);
+            const cellMineCountsByMines = solutionsByMines.map(() => new Array(cells.length).fill(0));
+            let steps = 0;
+
+            const assign = (i, value) => {
+                constraintsByCell[i].forEach(ci => {
+                    placed[ci] += value;
+                    open[ci]--;
+                });
+                assignment[i] = value;
+            };
+            const unassign = (i, value) => {
+                constraintsByCell[i].forEach(ci => {
+                    placed[ci] -= value;
+                    open[ci]++;
+                });
+                assignment[i] = 0;
+            };
+            const fits = (i, value) => constraintsByCell[i].every(ci => {
+                const mines = placed[ci] + value;
+                return mines <= constraints[ci].mines && mines + open[ci] - 1 >= constraints[ci].mines;
+            });
+
+            const search = (i, mines) => {
+                if (++steps > MAX_ENUMERATION_STEPS) return false;
+                if (i === cells.length) {
+                    solutionsByMines[mines]++;
+                    assignment.forEach((value, j) => { cellMineCountsByMines[mines][j] += value; });
+                    return true;
+                }
+                for (const value of [0, 1]) {
+                    if (!fits(i, value)) continue;
+                    assign(i, value);
+                    const withinBudget = search(i + 1, mines + value);
+                    unassign(i, value);
+                    if (!withinBudget) return false;
+                }
+                return true;
+            };
+
+            return search(0, 0) ? { solutionsByMines, cellMineCountsByMines } : null;
+        }
+
+        /**
+         * Counts the bad neggs already known: given as 'X' or deduced by the solver.
+         * @returns {number} The number of known bad neggs.
+         * @private
+         */
+        _countMarkedMines() {
+            return this.grid.reduce((count, row) => count + row.filter(value => value === 'X').length, this.mineCoords.size);
+        }
+
+        /**
+         * Number of ways to choose k cells out of n, as a float.
+         * @param {number} n Number of cells.
+         * @param {number} k Number of mines.
+         * @returns {number} The binomial coefficient, or 0 when k is out of range.
+         * @private
+         */
+        static _choose(n, k) {
+            if (k < 0 || k > n) return 0;
+            let result = 1;
+            for (let i = 1; i <= Math.min(k, n - k); i++) {
+                result = result * (n - i + 1) / i;
+            }
+            return result;
+        }
+
+        /**
+         * Combines per-component mine-count distributions into one distribution.
+         * @param {Array<Array<number>>} distributions Arrays where index k holds the weight of using k mines.
+         * @returns {Array<number>} The distribution of the total number of mines.
+         * @private
+         */
+        static _convolve(distributions) {
+            return distributions.reduce((total, distribution) => {
+                const combined = new Array(total.length + distribution.length - 1).fill(0);
+                total.forEach((a, i) => distribution.forEach((b, j) => { combined[i + j] += a * b; }));
+                return combined;
+            }, [1]);
+        }
+
+        /**
+         * Computes the probability that each covered cell holds a bad negg.
+         * Enumerates all consistent arrangements per independent component. When the number of bad neggs
+         * still hidden is known, each arrangement is weighted by the number of ways to place the rest of
+         * them on the non-frontier cells, which also gives those interior cells a probability.
+         * Components that are too large to enumerate fall back to the highest local density among their constraints;
+         * the remaining count is then left out, and interior cells get no probability.
+         * Fills `this.probabilities` with "r_c" -> probability.
+         * @private
+         */
+        _computeProbabilities() {
+            this.probabilities = new Map();
+
+            const components = [];
+            const frontier = new Set();
+            let estimated = false; // Whether a component was too large to enumerate and only has local estimates
+            this._groupConstraints(this._getFrontierConstraints()).forEach(component => {
+                component.cells.forEach(id => frontier.add(id));
+                const result = this._enumerateComponent(component);
+
+                if (result && result.solutionsByMines.every(ways => ways === 0)) {
+                    this.contradictions.push({
+                        cells: component.constraints.map(({ source }) => source),
+                        text: 'No layout of bad neggs satisfies all of these numbers at once.',
+                    });
+                } else if (result) {
+                    components.push({ cells: component.cells, ...result });
+                } else {
+                    // console.warn(`NeggSweeperSolver: Component with ${component.cells.length} cells is too large to enumerate. Using local estimate.`);
+                    estimated = true;
+                    component.constraints.forEach(({ cells, mines }) => {
+                        const density = mines / cells.length;
+                        cells.forEach(id => {
+                            this.probabilities.set(id, Math.max(this.probabilities.get(id) || 0, density));
+                        });
+                    });
+                }
+            });
+
+            const interior = [];
+            for (let r = 0; r < this.rows; r++) {
+                for (let c = 0; c < this.cols; c++) {
+                    if (this._isUndecided(r, c) && !frontier.has(`${r}_${c}`)) {
+                        interior.push(`${r}_${c}`);
+                    }
+                }
+            }
+
+            // The counter can only weigh the layouts when every frontier component is enumerated: the bad neggs
+            // of an estimated one are unknown, and leaving them out would crowd the rest onto the interior cells
+            const minesLeft = Number.isInteger(this.totalMines) && !estimated ? this.totalMines - this._countMarkedMines() : null;
+            const interiorWeight = frontierMines => (minesLeft === null ? 1 : NeggSweeperSolver._choose(interior.length, minesLeft - frontierMines));
+
+            // Weight of every total frontier mine count once the interior cells are taken into account
+            const frontierDistribution = NeggSweeperSolver._convolve(components.map(component => component.solutionsByMines));
+            const total = frontierDistribution.reduce((sum, ways, frontierMines) => sum + ways * interiorWeight(frontierMines), 0);
+
+            if (this.contradictions.length > 0) {
+                return;
+            }
+            if (total === 0) {
+                // Every frontier layout needs too many or too few bad neggs for the counter. The bad neggs of an
+                // estimated component are not counted though, so then it only means the counter cannot be used
+                if (!estimated) {
+                    this.contradictions.push({ cells: [], text: `No layout of bad neggs fits the counter of ${minesLeft} still hidden.` });
+                }
+                return;
+            }
+
+            components.forEach((component, index) => {
+                const others = NeggSweeperSolver._convolve(components.filter((_, i) => i !== index).map(other => other.solutionsByMines));
+                component.cells.forEach((id, i) => {
+                    // Weigh "mine" and "clear" separately so certain cells come out as exactly 0 or 1
+                    let mineWeight = 0;
+                    let clearWeight = 0;
+                    component.cellMineCountsByMines.forEach((counts, mines) => {
+                        others.forEach((ways, otherMines) => {
+                            const weight = ways * interiorWeight(mines + otherMines);
+                            mineWeight += counts[i] * weight;
+                            clearWeight += (component.solutionsByMines[mines] - counts[i]) * weight;
+                        });
+                    });
+                    this.probabilities.set(id, mineWeight / (mineWeight + clearWeight));
+                });
+            });
+
+            if (minesLeft !== null && interior.length > 0) {
+                let mineWeight = 0;
+                let clearWeight = 0;
+                frontierDistribution.forEach((ways, frontierMines) => {
+                    const interiorMines = minesLeft - frontierMines;
+                    const weight = ways * interiorWeight(frontierMines);
+                    mineWeight += weight * interiorMines;
+                    clearWeight += weight * (interior.length - interiorMines);
+                });
+                const probability = mineWeight / (mineWeight + clearWeight);
+                interior.forEach(id => this.probabilities.set(id, probability));
+            }
+        }
+
+        /**
+         * Returns the computed bad-negg probability for a cell.
+         * @param {number} r Row index.
+         * @param {number} c Column index.
+         * @returns {number|null} Probability between 0 and 1, or null if it could not be computed for this cell.
+         */
+        getProbability(r, c) {
+            return this.probabilities.has(`${r}_${c}`) ? this.probabilities.get(`${r}_${c}`) : null;
+        }
+
+        /**
+         * If no deterministic moves are found, computes exact frontier probabilities.
+         * Cells that turn out to be certain are decided as safe or mines. Unless a safe tile is known, by this or
+         * an earlier stage, the undecided covered tile with the lowest probability of being a bad negg becomes the guess.
+         * Updates `this.safeCoords`, `this.mineCoords` and `this.uncertainCoords`.
+         * @returns {boolean} True if a tile was decided or guessed, false otherwise.
+         * @private
+         */
+        _solveProbabilistically() {
+            this._computeProbabilities();
+            if (this.contradictions.length > 0) {
+                // console.warn(`NeggSweeperSolver: The board is impossible. ${this.contradictions.map(({ text }) => text).join(' ')}`);
+                return false;
+            }
+
+            let changed = false;
+            this.probabilities.forEach((probability, id) => {
+                const [r, c] = id.split('_').map(Number);
+                if (!this._isUndecided(r, c)) return;
+                if (probability !== 0 && probability !== 1) return;
+                const reason = {
+                    rule: 'probabilities',
+                    sources: this._getNumberedNeighbors(r, c),
+                    text: `Every arrangement of bad neggs that fits the numbers ${probability === 0 ? 'leaves this tile clear' : 'puts a bad negg on this tile'}.`,
+                };
+                if (this._markCell(r, c, probability === 0 ? 'S' : 'X', reason)) {
+                    changed = true;
+                }
+            });
+            if (this.safeCoords.size > 0) {
+                return changed; // A safe move, no need to guess
+            }
+
+            let bestGuessCoord = null;
+            let minProbability = Infinity;
+
+            for (let r = 0; r < this.rows; r++) {
+                for (let c = 0; c < this.cols; c++) {
+                    if (this.grid[r][c] !== 'C' || !this._isUndecided(r, c)) continue; // Only consider undecided covered/clickable tiles
+
+                    const probability = this.getProbability(r, c);
+                    if (probability !== null && probability < minProbability) {
+                        minProbability = probability;
+                        bestGuessCoord = [r, c];
+                    } else if (probability === null && bestGuessCoord === null) {
+                        // No frontier cell seen yet, keep the first covered cell as a fallback (e.g. before the first click)
+                        bestGuessCoord = [r, c];
+                    }
+                }
+            }
+
+            if (bestGuessCoord) {
+                const [br, bc] = bestGuessCoord;
+                this.uncertainCoords = bestGuessCoord;
+                this._explain(br, bc, '?', {
+                    rule: 'probabilities',
+                    sources: this._getNumberedNeighbors(br, bc),
+                    text: minProbability === Infinity
+                        ? 'Nothing can be deduced yet, so this is a blind guess.'
+                        : `No tile can be proven safe; this one has the lowest chance of a bad negg (${(minProbability * 100).toFixed(1)}%).`,
+                });
+                // console.log(`NeggSweeperSolver: Probabilistic guess: [${br}, ${bc}] (p=${minProbability}).`);
+                return true;
+            }
+            return changed;
+        }
+
+        /**
+         * Checks that the board can be real: every number can still get exactly its count of bad neggs,
+         * and the remaining counter fits the covered tiles. Takes the cells decided so far into account, so after
+         * deductions it also catches decisions that contradict a number, which points at a misread board.
+         * Frontier layouts that cannot be satisfied as a whole are found by _computeProbabilities().
+         * @returns {Array<{cells: Array<Array<number>>, text: string}>} The contradictions, each with the cells involved.
+         */
+        validate() {
+            const contradictions = [];
+            for (let r = 0; r < this.rows; r++) {
+                for (let c = 0; c < this.cols; c++) {
+                    const count = this.grid[r][c];
+                    if (typeof count !== 'number') continue;
+
+                    const name = `The ${count} at ${NeggSweeperSolver._cellName(r, c)}`;
+                    const neighbors = this._getNeighbors(r, c);
+                    const mines = neighbors.filter(([nr, nc]) => this._isMine(nr, nc));
+                    const unknown = neighbors.filter(([nr, nc]) => this._isUndecided(nr, nc));
+
+                    if (!Number.isInteger(count) || count < 0 || count > neighbors.length) {
+                        contradictions.push({ cells: [[r, c]], text: `${name} is impossible, the tile has ${neighbors.length} neighbors.` });
+                    } else if (mines.length > count) {
+                        contradictions.push({ cells: [[r, c], ...mines], text: `${name} touches ${mines.length} bad neggs.` });
+                    } else if (mines.length + unknown.length < count) {
+                        contradictions.push({
+                            cells: [[r, c], ...unknown],
+                            text: `${name} has only ${unknown.length} covered neighbor${unknown.length === 1 ? '' : 's'} left for ${count - mines.length} more bad negg${count - mines.length === 1 ? '' : 's'}.`,
+                        });
+                    }
+                }
+            }
+
+            if (Number.isInteger(this.totalMines)) {
+                const minesLeft = this.totalMines - this._countMarkedMines();
+                let unknownCount = 0;
+                this.grid.forEach((row, r) => row.forEach((_, c) => {
+                    if (this._isUndecided(r, c)) unknownCount++;
+                }));
+                if (minesLeft < 0) {
+                    contradictions.push({ cells: [], text: `${-minesLeft} more bad negg${minesLeft === -1 ? ' is' : 's are'} marked than the counter allows.` });
+                } else if (minesLeft > unknownCount) {
+                    contradictions.push({ cells: [], text: `The counter shows ${minesLeft} bad negg${minesLeft === 1 ? '' : 's'} still hidden, but only ${unknownCount} covered tile${unknownCount === 1 ? ' is' : 's are'} left.` });
+                }
+            }
+            return contradictions;
+        }
+
+        /**
+         * Solves the NeggSweeper grid by applying strategies iteratively.
+         * The parsed grid is left as it was; the decisions come back as lists of cells.
+         * Nothing is deduced from a board that fails validate(); see `contradictions`.
+         * @returns {{safe: Array<Array<number>>, mines: Array<Array<number>>, guess: {cell: Array<number>, probability: number|null}|null,
+         *          probabilities: Map<string, number>, recommendedMove: {cell: Array<number>, probability: number|null, guess: boolean}|null,
+         *          flagConflicts: Array<Array<number>>, contradictions: Array<{cells: Array<Array<number>>, text: string}>,
+         *          explanations: Map<string, Object>}}
+         *          `safe` and `mines` list the [row, col] of decided cells in the order they were deduced. `guess` is the covered
+         *          tile least likely to hold a bad negg, computed only when no tile is proven safe. `recommendedMove` is the first
+         *          safe tile, or else the guess. `probabilities` maps "r_c" to the chance of a bad negg, `flagConflicts` lists
+         *          player flags proven safe, and `contradictions` and `explanations` are those of validate() and getExplanation().
+         */
+        solve() {
+            let changedInIteration = true;
+            let iterationCount = 0;
+
+            this.safeCoords.clear(); // Clear previous solution data
+            this.mineCoords.clear();
+            this.uncertainCoords = null;
+            this.probabilities = new Map();
+            this.flagConflicts = new Set();
+            this.explanations = new Map();
+
+            this.contradictions = this.validate();
+            if (this.contradictions.length > 0) {
+                // console.warn(`NeggSweeperSolver: The board is impossible. ${this.contradictions.map(({ text }) => text).join(' ')}`);
+                return this._solution();
+            }
+
+            while (changedInIteration && iterationCount < 100) {
+                changedInIteration = false;
+                iterationCount++;
+
+                const changedByNeighbors = this.strategies.neighbors && this._solveByNeighbors();
+                const changedByMultiple = this.strategies.subsets && this._solveByMultiple();
+                // Reducing the whole system is only worth it once the cheaper rules are stuck
+                const changedByLinearConstraints = !changedByNeighbors && !changedByMultiple && this.strategies.linearConstraints && this._solveByLinearConstraints();
+                const changedByGlobalCount = this.strategies.globalCount && this._solveByGlobalCount();
+
+                if (changedByNeighbors || changedByMultiple || changedByLinearConstraints || changedByGlobalCount) {
+                    changedInIteration = true;
+                    // console.log(`NeggSweeperSolver: Iteration ${iterationCount}: Changes made (Neighbors: ${changedByNeighbors}, Multiple: ${changedByMultiple}, Linear: ${changedByLinearConstraints}, Global count: ${changedByGlobalCount}).`);
+                } else {
+                    // console.log(`NeggSweeperSolver: Iteration ${iterationCount}: No deterministic changes made.`);
+                }
+            }
+
+            // Deductions that break a number mean the board was not what it seemed
+            this.contradictions = this.validate();
+            if (this.contradictions.length > 0) {
+                // console.warn(`NeggSweeperSolver: The deductions contradict the board. ${this.contradictions.map(({ text }) => text).join(' ')}`);
+                return this._solution();
+            }
+
+            const hasCoveredTiles = this.getUnknownCells().length > 0;
+            if (!changedInIteration && hasCoveredTiles && this.strategies.probabilities) {
+                this._solveProbabilistically();
+            }
+
+            return this._solution();
+        }
+
+        /**
+         * Collects the result of solve() from the solver's state.
+         * An impossible board has no safe tiles, mines or moves, as anything deduced from it may be wrong.
+         * @returns {Object} The solution, see solve().
+         * @private
+         */
+        _solution() {
+            const toCell = id => id.split('_').map(Number);
+            const impossible = this.contradictions.length > 0;
+            const safe = impossible ? [] : Array.from(this.safeCoords, toCell);
+            const mines = impossible ? [] : Array.from(this.mineCoords, toCell);
+            const guess = impossible || !this.uncertainCoords ? null : {
+                cell: this.uncertainCoords,
+                probability: this.getProbability(...this.uncertainCoords),
+            };
+
+            let recommendedMove = null;
+            if (safe.length > 0) {
+                recommendedMove = { cell: safe[0], probability: 0, guess: false };
+            } else if (guess) {
+                recommendedMove = { ...guess, guess: true };
+            }
+
+            return {
+                safe,
+                mines,
+                guess,
+                probabilities: this.probabilities,
+                recommendedMove,
+                flagConflicts: impossible ? [] : Array.from(this.flagConflicts, toCell),
+                contradictions: this.contradictions,
+                explanations: this.explanations,
+            };
+        }
+
+        /**
+         * Returns a list of coordinates for all covered cells the solver has not decided.
+         * @returns {Array<Array<number>>} An array of [row, col] pairs.
+         */
+        getUnknownCells() {
+            const unknownCells = [];
+            for (let r = 0; r < this.rows; r++) {
+                for (let c = 0; c < this.cols; c++) {
+                    if (this.grid[r][c] === 'C' && this._isUndecided(r, c)) {
+                        unknownCells.push([r, c]);
+                    }
+                }
+            }
+            return unknownCells;
+        }
+    }
+
+    return { DEFAULT_STRATEGIES, OVERLAY_THEMES, BOARD_LEVELS, PAGE_STATES, classifyPage, NeggSweeperOverlay, NeggSweeperGrid, NeggSweeperBoardWatcher, NeggSweeperSolver };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NeggSweeperCore;
+}
@@ -0,0 +1,550 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { GAME_PATH, NeggSweeperSimulator } = require('../tools/neggsweeper_simulator.js');
+const { AutoplayRunner } = require('../tools/autoplay_runner.js');
+const { loadFixture } = require('./helpers.js');
+
+/**
+ * Opens the difficulty page with the autoplayer loaded, before it acts.
+ * @param {Object<string, string>} [storage] Initial userscript storage.
+ * @returns {Promise<{runner: AutoplayRunner, page: Object, panel: Element}>}
+ */
+async function openSettingsPanel(storage = {}) {
+    const runner = new AutoplayRunner({ simulator: new NeggSweeperSimulator({ seed: 5 }), storage });
+    const page = await runner.open({ method: 'GET', path: GAME_PATH, form: {} });
+    const panel = page.window.document.getElementById('neggsweeper-autoplayer-settings');
+    return { runner, page, panel };
+}
+
+describe('Autoplayer settings panel', () => {
+    test('shows the stored settings', async () => {
+        const { page, panel } = await openSettingsPanel({ settings: JSON.stringify({ maxActionDelayMs: 1500, difficultyMode: 'rotate' }) });
+
+        assert.ok(panel);
+        assert.equal(panel.querySelector('[name="maxActionDelayMs"]').value, '1500');
+        assert.equal(panel.querySelector('[name="minActionDelayMs"]').value, '200', 'missing settings use the defaults');
+        assert.equal(panel.querySelector('[name="difficultyMode"]').value, 'rotate');
+        assert.equal(panel.querySelector('[name="strategy-probabilities"]').checked, true);
+        page.window.close();
+    });
+
+    test('stores valid settings', async () => {
+        const { runner, page, panel } = await openSettingsPanel();
+        panel.querySelector('[name="minActionDelayMs"]').value = '50';
+        panel.querySelector('[name="maxActionDelayMs"]').value = '60';
+        panel.querySelector('[name="fixedLevel"]').value = '1';
+        panel.querySelector('[name="strategy-subsets"]').checked = false;
+        panel.querySelector('[data-action="save"]').click();
+
+        const stored = JSON.parse(runner.storage.get('settings'));
+        assert.equal(stored.minActionDelayMs, 50);
+        assert.equal(stored.maxActionDelayMs, 60);
+        assert.equal(stored.fixedLevel, '1');
+        assert.equal(stored.strategies.subsets, false);
+        assert.match(panel.querySelector('[data-role="status"]').textContent, /saved/);
+
+        // The running autoplayer picks up the new level straight away
+        const next = await page.runTimers(100);
+        assert.equal(next.form.game_level, '1');
+        page.window.close();
+    });
+
+    test('rejects a minimum delay above the maximum', async () => {
+        const { runner, page, panel } = await openSettingsPanel();
+        panel.querySelector('[name="minRetryDelayMs"]').value = '3000';
+        panel.querySelector('[name="maxRetryDelayMs"]').value = '2000';
+        panel.querySelector('[data-action="save"]').click();
+
+        assert.equal(runner.storage.has('settings'), false);
+        assert.match(panel.querySelector('[data-role="status"]').textContent, /minimum retry delay/);
+        page.window.close();
+    });
+
+    test('rejects an empty rotation', async () => {
+        const { runner, page, panel } = await openSettingsPanel();
+        panel.querySelector('[name="rotationLevels"]').value = ' , ';
+        panel.querySelector('[data-action="save"]').click();
+
+        assert.equal(runner.storage.has('settings'), false);
+        assert.match(panel.querySelector('[data-role="status"]').textContent, /at least one level/);
+        page.window.close();
+    });
+});
+
+describe('Autoplayer run controls', () => {
+    test('does nothing while paused, across page loads', async () => {
+        const runner = new AutoplayRunner({ simulator: new NeggSweeperSimulator({ seed: 6 }), storage: { runState: JSON.stringify({ state: 'paused' }) } });
+        const report = await runner.run(1);
+
+        assert.equal(report.stopReason, 'autoplayer stopped');
+        assert.equal(report.pageLoads, 1);
+        assert.deepEqual(report.results, []);
+    });
+
+    test('pausing cancels scheduled actions and starting resumes them', async () => {
+        const runner = new AutoplayRunner({ simulator: new NeggSweeperSimulator({ seed: 6 }) });
+        const page = await runner.open({ method: 'GET', path: GAME_PATH, form: {} });
+        const { document, KeyboardEvent } = page.window;
+        const controls = document.getElementById('neggsweeper-autoplayer-controls');
+
+        document.dispatchEvent(new KeyboardEvent('keydown', { code: 'KeyP', altKey: true, shiftKey: true }));
+        assert.equal(JSON.parse(runner.storage.get('runState')).state, 'paused');
+        assert.equal(controls.querySelector('[data-role="state"]').textContent, 'paused');
+        assert.equal(await page.runTimers(100), null);
+
+        controls.querySelector('button[data-action="running"]').click();
+        const next = await page.runTimers(100);
+        assert.equal(next.form.game_level, '3');
+        page.window.close();
+    });
+
+    test('stopping after the current game finishes it and starts no other', async () => {
+        const simulator = new NeggSweeperSimulator({ seed: 7 });
+        simulator.handle({ method: 'POST', path: GAME_PATH, form: { game_level: '1' } });
+        const runner = new AutoplayRunner({ simulator, storage: { runState: JSON.stringify({ state: 'stopping' }) } });
+        const report = await runner.run(2);
+
+        assert.equal(report.stopReason, 'autoplayer stopped');
+        assert.equal(report.results.length, 1);
+        assert.equal(JSON.parse(runner.storage.get('runState')).state, 'stopped');
+        assert.deepEqual(JSON.parse(runner.storage.get('session')).gamesByLevel, {}, 'no new game was started');
+    });
+});
+
+describe('Autoplayer game history', () => {
+    test('records every finished game', async () => {
+        const settings = { fixedLevel: '1' };
+        const runner = new AutoplayRunner({ simulator: new NeggSweeperSimulator({ seed: 8 }), storage: { settings: JSON.stringify(settings) } });
+        const report = await runner.run(4);
+        const history = JSON.parse(runner.storage.get('history'));
+
+        // The last game over screen already starts a fifth game
+        assert.equal(history.games.length, 4);
+        assert.equal(JSON.parse(runner.storage.get('currentGame')).game.level, '1');
+        history.games.forEach((record, index) => {
+            const { level, result, revealed } = report.results[index];
+            assert.deepEqual({ level: record.level, result: record.result, revealed: record.revealed }, { level, result, revealed });
+            assert.ok(record.guesses >= 1, 'the first click is always a guess');
+            assert.ok(record.durationMs >= 0);
+            assert.ok(record.board.every(row => row.length === 9 && !row.includes('C')), 'the final board is the uncovered one');
+        });
+    });
+
+    test('writes only the game in progress while playing', async () => {
+        const simulator = new NeggSweeperSimulator({ seed: 8 });
+        simulator.handle({ method: 'POST', path: GAME_PATH, form: { game_level: '1' } });
+        const current = { level: '1', startedAt: Date.now(), revealed: 0, guesses: 0, totalMines: null };
+        const runner = new AutoplayRunner({ simulator, storage: { currentGame: JSON.stringify({ game: current }) } });
+        const page = await runner.open({ method: 'POST', path: GAME_PATH, form: {} });
+        const navigation = await page.runTimers(10);
+        page.window.close();
+
+        assert.ok(navigation, 'a move was made');
+        assert.equal(JSON.parse(runner.storage.get('currentGame')).game.guesses, 1);
+        assert.equal(runner.storage.has('history'), false);
+    });
+
+    test('shows the win rate per difficulty and the streaks', async () => {
+        const games = ['won', 'won', 'lost', 'won', 'won', 'won'].map((result, index) => ({
+            level: index < 2 ? '1' : '3', result, revealed: 10, guesses: 1, durationMs: 1000, finishedAt: '2024-01-01T00:00:00.000Z',
+        }));
+        const runner = new AutoplayRunner({
+            simulator: new NeggSweeperSimulator({ seed: 9 }),
+            storage: { history: JSON.stringify({ games }) },
+        });
+        const page = await runner.open({ method: 'GET', path: GAME_PATH, form: {} });
+        const stats = page.window.document.getElementById('neggsweeper-autoplayer-stats');
+        const rows = Array.from(stats.querySelectorAll('[data-role="levels"] tr')).slice(1).map(row => Array.from(row.cells, cell => cell.textContent));
+
+        assert.deepEqual(rows, [['Easy', '2', '2', '0', '100.0%'], ['Hard', '4', '3', '1', '75.0%']]);
+        assert.equal(stats.querySelector('[data-role="current-streak"]').textContent, '3 won in a row');
+        assert.equal(stats.querySelector('[data-role="longest-win-streak"]').textContent, '3');
+        assert.equal(stats.querySelector('[data-role="longest-loss-streak"]').textContent, '1');
+        page.window.close();
+    });
+});
+
+describe('Autoplayer history export and import', () => {
+    const board = [[1, 'C'], ['B', 'F']];
+    const games = [
+        { level: '1', result: 'won', revealed: 71, guesses: 2, durationMs: 5000, finishedAt: '2024-01-01T10:00:00.000Z', board },
+        { level: '3', result: 'lost', revealed: 12, guesses: 1, durationMs: 800, finishedAt: '2024-01-01T11:00:00.000Z', board: null },
+    ];
+
+    /**
+     * Opens a page whose stored history holds the given games, capturing downloads.
+     * @param {Array<Object>} storedGames Games already in the history.
+     * @returns {Promise<{runner: AutoplayRunner, page: Object, stats: Element, downloads: Array<Blob>}>}
+     */
+    async function openStats(storedGames) {
+        const runner = new AutoplayRunner({
+            simulator: new NeggSweeperSimulator({ seed: 10 }),
+            storage: { history: JSON.stringify({ games: storedGames }) },
+        });
+        const page = await runner.open({ method: 'GET', path: GAME_PATH, form: {} });
+        const downloads = [];
+        page.window.URL.createObjectURL = blob => {
+            downloads.push(blob);
+            return 'blob:download';
+        };
+        page.window.URL.revokeObjectURL = () => {};
+        const stats = page.window.document.getElementById('neggsweeper-autoplayer-stats');
+        return { runner, page, stats, downloads };
+    }
+
+    /**
+     * Reads a Blob created on the page.
+     * @param {Object} window The page window.
+     * @param {Blob} blob The blob.
+     * @returns {Promise<string>} Its text.
+     */
+    function readBlob(window, blob) {
+        return new Promise(resolve => {
+            const reader = new window.FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.readAsText(blob);
+        });
+    }
+
+    /**
+     * Imports a file through the panel's file input and waits for the result.
+     * @param {Object} page The page.
+     * @param {Element} stats The stats panel.
+     * @param {string} name File name.
+     * @param {string} text File contents.
+     * @returns {Promise<string>} The status message.
+     */
+    async function importText(page, stats, name, text) {
+        const input = stats.querySelector('[name="import"]');
+        Object.defineProperty(input, 'files', { configurable: true, value: [new page.window.File([text], name)] });
+        input.dispatchEvent(new page.window.Event('change'));
+        const status = stats.querySelector('[data-role="status"]');
+        for (let i = 0; i < 100 && status.textContent === ''; i++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        return status.textContent;
+    }
+
+    test('exports the history with final boards as JSON and CSV', async () => {
+        const { page, stats, downloads } = await openStats(games);
+        stats.querySelector('[data-action="export-json"]').click();
+        stats.querySelector('[data-action="export-csv"]').click();
+
+        assert.deepEqual(JSON.parse(await readBlob(page.window, downloads[0])).games, games);
+        assert.equal(await readBlob(page.window, downloads[1]), [
+            'finishedAt,level,result,revealed,guesses,durationMs,board',
+            '2024-01-01T10:00:00.000Z,1,won,71,2,5000,1C/BF',
+            '2024-01-01T11:00:00.000Z,3,lost,12,1,800,',
+            '',
+        ].join('\n'));
+        page.window.close();
+    });
+
+    test('merges an imported CSV file without duplicates', async () => {
+        const exported = await openStats(games);
+        exported.stats.querySelector('[data-action="export-csv"]').click();
+        const csv = await readBlob(exported.page.window, exported.downloads[0]);
+        exported.page.window.close();
+
+        const { runner, page, stats } = await openStats([games[0]]);
+        assert.match(await importText(page, stats, 'history.csv', csv), /Imported 1 games, skipped 1/);
+
+        const stored = JSON.parse(runner.storage.get('history')).games;
+        assert.deepEqual(stored, games);
+        assert.match(stats.querySelector('summary').textContent, /2 games/);
+        page.window.close();
+    });
+
+    test('merges an imported JSON file and rejects other files', async () => {
+        const { runner, page, stats } = await openStats([]);
+        assert.match(await importText(page, stats, 'history.json', JSON.stringify({ games })), /Imported 2 games, skipped 0/);
+        assert.deepEqual(JSON.parse(runner.storage.get('history')).games, games);
+
+        stats.querySelector('[data-role="status"]').textContent = '';
+        assert.match(await importText(page, stats, 'notes.txt', 'not a history'), /Import failed/);
+        assert.equal(JSON.parse(runner.storage.get('history')).games.length, 2);
+
+        stats.querySelector('[data-role="status"]').textContent = '';
+        const numbered = [{ ...games[0], finishedAt: '2026-01-01T00:00:00.000Z' }, { ...games[1], finishedAt: 1767225600000 }];
+        assert.match(await importText(page, stats, 'history.json', JSON.stringify({ games: numbered })), /Imported 1 games, skipped 1/);
+        assert.equal(JSON.parse(runner.storage.get('history')).games.length, 3);
+        page.window.close();
+    });
+});
+
+describe('Autoplayer stop rules', () => {
+    /**
+     * Runs the autoplayer with the given stop rules and session progress.
+     * @param {Object} stopRules Stop rules for the settings.
+     * @param {Object} [session] Stored session progress.
+     * @param {number} [games=5] Games to play at most.
+     * @returns {Promise<{runner: AutoplayRunner, report: Object}>}
+     */
+    async function runWithStopRules(stopRules, session = {}, games = 5) {
+        const settings = { fixedLevel: '1', stopRules: { maxGames: 0, maxWins: 0, maxConsecutiveLosses: 0, timeBudgetMinutes: 0, stopAtTime: '', ...stopRules } };
+        const storage = { settings: JSON.stringify(settings), session: JSON.stringify({ startedAt: Date.now(), ...session }) };
+        const runner = new AutoplayRunner({ simulator: new NeggSweeperSimulator({ seed: 11 }), storage });
+        const report = await runner.run(games);
+        return { runner, report };
+    }
+
+    test('stops at the difficulty screen after the given number of games', async () => {
+        const { runner, report } = await runWithStopRules({ maxGames: 2 });
+
+        assert.equal(report.stopReason, 'autoplayer stopped');
+        assert.equal(report.results.length, 2);
+        assert.equal(JSON.parse(runner.storage.get('runState')).state, 'stopped');
+        assert.equal(JSON.parse(runner.storage.get('session')).games, 2);
+    });
+
+    test('stops after the given number of wins or losses in a row', async () => {
+        const wins = await runWithStopRules({ maxWins: 3 }, { wins: 3 });
+        assert.equal(wins.report.pageLoads, 1);
+        assert.deepEqual(wins.report.results, []);
+
+        const losses = await runWithStopRules({ maxConsecutiveLosses: 2 }, { consecutiveLosses: 2 });
+        assert.equal(losses.report.pageLoads, 1);
+        assert.equal(JSON.parse(losses.runner.storage.get('runState')).state, 'stopped');
+    });
+
+    test('stops once the time budget is used', async () => {
+        const { report } = await runWithStopRules({ timeBudgetMinutes: 60 }, { startedAt: Date.now() - 61 * 60000 });
+        assert.equal(report.pageLoads, 1);
+    });
+
+    test('stops once the time of day is reached', async () => {
+        const clock = offset => new Date(Date.now() + offset * 3600000).toTimeString().slice(0, 5);
+
+        const past = await runWithStopRules({ stopAtTime: clock(-1) }, { startedAt: Date.now() - 2 * 3600000 });
+        assert.equal(past.report.pageLoads, 1);
+
+        const future = await runWithStopRules({ stopAtTime: clock(1) }, {}, 1);
+        assert.equal(future.report.stopReason, 'completed');
+    });
+
+    test('stops once every level target is reached', async () => {
+        const settings = { difficultyMode: 'targets', levelTargets: { 1: 1, 2: 0, 3: 0 } };
+        const storage = { settings: JSON.stringify(settings), session: JSON.stringify({ startedAt: Date.now(), gamesByLevel: { 1: 1 } }) };
+        const runner = new AutoplayRunner({ simulator: new NeggSweeperSimulator({ seed: 11 }), storage });
+        const report = await runner.run(1);
+
+        assert.equal(report.pageLoads, 1);
+        assert.equal(JSON.parse(runner.storage.get('runState')).state, 'stopped');
+    });
+
+    test('starting again after a stop begins a new session', async () => {
+        const runner = new AutoplayRunner({
+            simulator: new NeggSweeperSimulator({ seed: 12 }),
+            storage: { runState: JSON.stringify({ state: 'stopped' }), session: JSON.stringify({ startedAt: 1, games: 5, wins: 4 }) },
+        });
+        const page = await runner.open({ method: 'GET', path: GAME_PATH, form: {} });
+        page.window.document.querySelector('#neggsweeper-autoplayer-controls button[data-action="running"]').click();
+
+        const session = JSON.parse(runner.storage.get('session'));
+        assert.equal(session.games, 0);
+        assert.equal(session.wins, 0);
+        assert.ok(session.startedAt > 1);
+        page.window.close();
+    });
+
+    test('the settings panel rejects negative stop rules', async () => {
+        const { runner, page, panel } = await openSettingsPanel();
+        panel.querySelector('[name="stop-maxGames"]').value = '-1';
+        panel.querySelector('[data-action="save"]').click();
+
+        assert.equal(runner.storage.has('settings'), false);
+        assert.match(panel.querySelector('[data-role="status"]').textContent, /maxGames/);
+        page.window.close();
+    });
+});
+
+describe('Autoplayer board watcher', () => {
+    test('acts on a board that changes without a page load', async () => {
+        const simulator = new NeggSweeperSimulator({ seed: 13 });
+        simulator.handle({ method: 'POST', path: GAME_PATH, form: { game_level: '1' } });
+        const current = { level: '1', startedAt: Date.now(), revealed: 0, guesses: 0, totalMines: null };
+        const runner = new AutoplayRunner({ simulator, storage: { currentGame: JSON.stringify({ game: current }) } });
+        const page = await runner.open({ method: 'POST', path: GAME_PATH, form: {} });
+
+        // Let the autoplayer see the first board, then reveal a tile in place before it moves
+        await page.runTimers(1);
+        const cell = page.window.document.querySelector('[onclick*="clickNegg(event, 0, 0)"]').closest('td');
+        cell.innerHTML = '<font color="blue" size="+1"><b>1</b></font>';
+        const next = await page.runTimers(100);
+
+        assert.equal(JSON.parse(runner.storage.get('currentGame')).game.board[0][0], 1);
+        assert.ok(next.form.position, 'a move was made on the updated board');
+        assert.notEqual(next.form.position, '0-0');
+        page.window.close();
+    });
+
+    test('moves again when the game ignores a click', async () => {
+        const simulator = new NeggSweeperSimulator({ seed: 13 });
+        simulator.handle({ method: 'POST', path: GAME_PATH, form: { game_level: '1' } });
+        const runner = new AutoplayRunner({ simulator });
+        const page = await runner.open({ method: 'POST', path: GAME_PATH, form: {} });
+        const clicks = [];
+        page.window.clickNegg = (event, r, c) => clicks.push([r, c]);
+        await page.runTimers(20);
+        page.window.close();
+
+        assert.ok(clicks.length > 1, 'the unchanged board was played again');
+    });
+});
+
+describe('Autoplayer flag conflicts', () => {
+    /**
+     * Starts an Easy game and flags the first covered tile that is not a bad negg, as a player might by mistake.
+     * @param {Object} settings Stored autoplayer settings.
+     * @returns {{simulator: NeggSweeperSimulator, runner: AutoplayRunner}}
+     */
+    function flagSafeTile(settings) {
+        const simulator = new NeggSweeperSimulator({ seed: 1 });
+        simulator.handle({ method: 'POST', path: GAME_PATH, form: { game_level: '1' } });
+        simulator.handle({ method: 'POST', path: GAME_PATH, form: { position: '4-4', flag: '0' } });
+        const { game } = simulator;
+        const cells = game.mines.flatMap((row, r) => row.map((mine, c) => [r, c]));
+        const [r, c] = cells.find(([r, c]) => !game.revealed[r][c] && !game.mines[r][c]);
+        simulator.handle({ method: 'POST', path: GAME_PATH, form: { position: `${r}-${c}`, flag: '1' } });
+        const storage = { settings: JSON.stringify({ difficultyMode: 'fixed', fixedLevel: '1', ...settings }) };
+        return { simulator, runner: new AutoplayRunner({ simulator, storage }) };
+    }
+
+    test('removes a flag from a safe tile and finishes the game', async () => {
+        const { simulator, runner } = flagSafeTile({ placeFlags: true });
+        const report = await runner.run(1);
+
+        assert.equal(report.stopReason, 'completed');
+        assert.equal(simulator.results.length, 1);
+        assert.deepEqual(report.errors, []);
+    });
+
+    test('marks the flag and stops when flagging is off', async () => {
+        const { runner } = flagSafeTile({ placeFlags: false });
+        // Play until the flag is proven wrong, keeping the page the autoplayer stopped on
+        let request = { method: 'POST', path: GAME_PATH, form: {} };
+        let page;
+        while (request) {
+            page = await runner.open(request);
+            request = await page.runTimers(1000);
+            if (request) {
+                page.window.close();
+            }
+        }
+        const conflicts = page.window.document.querySelectorAll('.neggsweeper-autoplayer-conflict');
+        page.window.close();
+
+        assert.equal(conflicts.length, 1);
+        assert.equal(JSON.parse(runner.storage.get('runState')).state, 'stopped');
+        assert.match(JSON.parse(runner.storage.get('diagnostics')).problems.join(' '), /is on a safe negg/);
+        assert.ok(runner.errors.some(message => message.includes('proven safe')));
+    });
+});
+
+describe('Autoplayer overlay themes', () => {
+    test('colours the board with the chosen theme and glyphs', async () => {
+        const simulator = new NeggSweeperSimulator({ seed: 14 });
+        simulator.handle({ method: 'POST', path: GAME_PATH, form: { game_level: '2' } });
+        simulator.handle({ method: 'POST', path: GAME_PATH, form: { position: '6-6', flag: '0' } });
+        const settings = { overlayTheme: 'highContrast', showGlyphs: true };
+        const runner = new AutoplayRunner({ simulator, storage: { settings: JSON.stringify(settings) } });
+        const page = await runner.open({ method: 'POST', path: GAME_PATH, form: {} });
+        await page.runTimers(1);
+
+        const { document } = page.window;
+        const safe = document.querySelectorAll('.neggsweeper-autoplayer-safe');
+        const mines = document.querySelectorAll('.neggsweeper-autoplayer-mine');
+        assert.ok(safe.length > 0 && mines.length > 0);
+        safe.forEach(cell => assert.equal(cell.getAttribute('data-neggsweeper-autoplayer-label'), '✓'));
+        mines.forEach(cell => assert.equal(cell.getAttribute('data-neggsweeper-autoplayer-label'), '✗'));
+        const styles = document.getElementById('neggsweeper-autoplayer-styles').textContent;
+        assert.match(styles, /\.neggsweeper-autoplayer-safe \{ background-color: white !important; color: black; \}/);
+        assert.match(styles, /\.neggsweeper-autoplayer-mine \{ background-color: black !important; color: white; \}/);
+        page.window.close();
+    });
+
+    test('keeps playing with the overlay switched off', async () => {
+        const settings = { showOverlay: false, minActionDelayMs: 0, maxActionDelayMs: 0 };
+        const simulator = new NeggSweeperSimulator({ seed: 14 });
+        simulator.handle({ method: 'POST', path: GAME_PATH, form: { game_level: '2' } });
+        const runner = new AutoplayRunner({ simulator, storage: { settings: JSON.stringify(settings) } });
+        const page = await runner.open({ method: 'POST', path: GAME_PATH, form: {} });
+        await page.runTimers(1);
+
+        const table = page.window.document.querySelector('table[bgcolor="black"]');
+        assert.ok(table.classList.contains('neggsweeper-autoplayer-hidden'));
+        await page.runTimers(1);
+        assert.ok(page.navigation(), 'the move was still made');
+        page.window.close();
+    });
+});
+
+describe('Autoplayer page states', () => {
+    /**
+     * Opens a saved page with the autoplayer loaded and runs its timers.
+     * @param {string} name Fixture name without extension.
+     * @returns {Promise<{runner: AutoplayRunner, navigation: Object|null}>}
+     */
+    async function openFixture(name) {
+        const html = loadFixture(name).documentElement.outerHTML;
+        const runner = new AutoplayRunner({ simulator: { handle: () => ({ html }) } });
+        const page = await runner.open({ method: 'GET', path: GAME_PATH, form: {} });
+        const navigation = await page.runTimers(10);
+        page.window.close();
+        return { runner, navigation };
+    }
+
+    test('stops when logged out', async () => {
+        const { runner, navigation } = await openFixture('logged_out');
+
+        assert.equal(navigation, null);
+        assert.equal(JSON.parse(runner.storage.get('runState')).state, 'stopped');
+        assert.ok(runner.errors.some(message => message.includes('Logged out of Neopets')));
+    });
+
+    test('keeps running through an internal error or maintenance', async () => {
+        // Both reload the game page, which jsdom ignores as it is the page already loaded
+        for (const name of ['internal_error', 'maintenance']) {
+            const { runner } = await openFixture(name);
+
+            assert.deepEqual(runner.errors, []);
+            assert.equal(runner.storage.has('runState'), false, `${name} does not stop the autoplayer`);
+        }
+    });
+
+    test('stops instead of clicking when the board cannot be read', async () => {
+        const document = loadFixture('easy_game');
+        document.querySelectorAll('img[src*="gn.gif"]').forEach(img => img.setAttribute('src', 'https://images.neopets.com/x/negg_covered.png'));
+        const html = document.documentElement.outerHTML;
+        const runner = new AutoplayRunner({ simulator: { handle: () => ({ html }) } });
+        const page = await runner.open({ method: 'GET', path: GAME_PATH, form: {} });
+        const navigation = await page.runTimers(10);
+        page.window.close();
+
+        assert.equal(navigation, null, 'nothing was clicked');
+        assert.equal(JSON.parse(runner.storage.get('runState')).state, 'stopped');
+        const report = JSON.parse(runner.storage.get('diagnostics'));
+        assert.equal(report.ok, false);
+        assert.match(report.problems.join(' '), /could not be read/);
+        assert.match(report.snapshot, /negg_covered\.png/);
+        assert.ok(runner.errors.some(message => message.includes('The board could not be read')));
+    });
+
+    test('stops instead of clicking on an impossible board', async () => {
+        const document = loadFixture('easy_game');
+        document.querySelectorAll('table[bgcolor="black"] > tbody > tr[bgcolor="silver"] ~ tr[bgcolor="white"] > td')[1].querySelector('b').textContent = '5';
+        const html = document.documentElement.outerHTML;
+        const runner = new AutoplayRunner({ simulator: { handle: () => ({ html }) } });
+        const page = await runner.open({ method: 'GET', path: GAME_PATH, form: {} });
+        const navigation = await page.runTimers(10);
+        page.window.close();
+
+        assert.equal(navigation, null, 'nothing was clicked');
+        assert.equal(JSON.parse(runner.storage.get('runState')).state, 'stopped');
+        const report = JSON.parse(runner.storage.get('diagnostics'));
+        assert.match(report.problems.join(' '), /The 5 at row 1, column 2/);
+        assert.match(report.snapshot, /^<table/);
+    });
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { NeggSweeperGame } = require('../tools/neggsweeper_simulator.js');
+const { loadSolver, toParsedGrid, chooseMove, benchmark } = require('../tools/benchmark.js');
+
+describe('benchmark', () => {
+    test('loads the solver from a core file', () => {
+        const { name, core } = loadSolver('neggsweeper_core.js');
+
+        assert.equal(name, 'neggsweeper_core.js');
+        assert.equal(typeof core.NeggSweeperSolver, 'function');
+    });
+
+    test('builds the grid the parser would read', () => {
+        const game = new NeggSweeperGame('1', 2);
+        game.reveal(4, 4);
+        const [fr, fc] = game.revealed.flatMap((row, r) => row.map((isRevealed, c) => (isRevealed ? null : [r, c]))).find(Boolean);
+        game.toggleFlag(fr, fc);
+        const grid = toParsedGrid(game);
+
+        assert.equal(grid[4][4], 'B');
+        assert.equal(grid[fr][fc], 'F');
+        assert.equal(grid.flat().filter(value => value === 'C' || value === 'F').length, 81 - game.revealedCount());
+    });
+
+    test('prefers safe tiles over the recommended move', () => {
+        const random = () => 0;
+        const solution = { safe: [], mines: [[0, 0]], recommendedMove: null };
+
+        assert.deepEqual(chooseMove({ ...solution, safe: [[1, 1], [0, 1]] }, random), { cell: [1, 1], guess: false });
+        assert.deepEqual(chooseMove({ ...solution, recommendedMove: { cell: [1, 0], probability: 0.5, guess: true } }, random), { cell: [1, 0], guess: true });
+        assert.deepEqual(chooseMove(solution, random, [['C', 'C']]), { cell: [0, 1], guess: true }, 'deduced bad neggs are not clicked');
+        assert.equal(chooseMove(solution, random, [['C', 1]]), null);
+    });
+
+    test('still reads the grids returned by older solvers', () => {
+        const random = () => 0;
+
+        assert.deepEqual(chooseMove([['?', 'S']], random), { cell: [0, 1], guess: false });
+        assert.deepEqual(chooseMove([['?', 'C']], random), { cell: [0, 0], guess: true });
+        assert.deepEqual(chooseMove([['X', 'C']], random), { cell: [0, 1], guess: true });
+        assert.equal(chooseMove([['X', 1]], random), null);
+    });
+
+    test('reports statistics per level and is repeatable', () => {
+        const { core } = loadSolver('neggsweeper_core.js');
+        const options = { games: 3, seed: 7, levels: ['1'] };
+        const first = benchmark(core, options);
+        const second = benchmark(core, options);
+
+        assert.deepEqual(Object.keys(first), ['Easy']);
+        assert.equal(first.Easy.games, 3);
+        assert.ok(first.Easy.winRate >= 0 && first.Easy.winRate <= 1);
+        assert.ok(first.Easy.guessesPerGame >= 1, 'the first click is always a guess');
+        assert.equal(first.Easy.winRate, second.Easy.winRate);
+        assert.equal(first.Easy.averageRevealed, second.Easy.averageRevealed);
+    });
+});
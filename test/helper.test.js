@@ -0,0 +1,177 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { NeggSweeperGrid, NeggSweeperSolver } = require('../neggsweeper_core.js');
+const { GAME_PATH, NeggSweeperSimulator } = require('../tools/neggsweeper_simulator.js');
+const { AutoplayRunner } = require('../tools/autoplay_runner.js');
+const { loadFixture, markSolution } = require('./helpers.js');
+
+const HELPER_SCRIPTS = ['neggsweeper_core.js', 'neggsweeper_helper.js'];
+
+/**
+ * Opens a page with the helper loaded and lets it draw.
+ * @param {string} html The page.
+ * @returns {Promise<Object>} The page from AutoplayRunner.open().
+ */
+async function openWithHelper(html) {
+    const runner = new AutoplayRunner({ simulator: { handle: () => ({ html }) }, scripts: HELPER_SCRIPTS });
+    const page = await runner.open({ method: 'GET', path: GAME_PATH, form: {} });
+    await page.runTimers(100);
+    return page;
+}
+
+/**
+ * Lists the board cells of a page.
+ * @param {Document} document The page.
+ * @returns {Array<HTMLElement>} The <td> elements of the board rows, row by row.
+ */
+function boardCells(document) {
+    return Array.from(document.querySelectorAll('table[bgcolor="black"] > tbody > tr[bgcolor="silver"] ~ tr[bgcolor="white"] > td'));
+}
+
+describe('NeggSweeper Helper', () => {
+    test('redraws after a move without stacking highlights', async () => {
+        const simulator = new NeggSweeperSimulator({ seed: 14 });
+        const before = simulator.handle({ method: 'POST', path: GAME_PATH, form: { game_level: '2' } }).html;
+        const after = simulator.handle({ method: 'POST', path: GAME_PATH, form: { position: '6-6', flag: '0' } }).html;
+
+        const page = await openWithHelper(before);
+        const { document } = page.window;
+        assert.ok(document.querySelector('.neggsweeper-helper-cell'), 'the first board is highlighted');
+
+        // The game reveals tiles in place: only cells whose markup changed are rewritten
+        const beforeCells = boardCells(new JSDOM(before).window.document);
+        const afterCells = boardCells(new JSDOM(after).window.document);
+        const liveCells = boardCells(document);
+        afterCells.forEach((cell, index) => {
+            if (cell.innerHTML !== beforeCells[index].innerHTML) {
+                liveCells[index].innerHTML = cell.innerHTML;
+            }
+        });
+        await page.runTimers(100);
+
+        const fresh = await openWithHelper(after);
+        const table = doc => doc.querySelector('table[bgcolor="black"]').outerHTML;
+        assert.equal(table(document), table(fresh.window.document));
+        page.window.close();
+        fresh.window.close();
+    });
+
+    test('stops redrawing once the game is over', async () => {
+        const simulator = new NeggSweeperSimulator({ seed: 14 });
+        const html = simulator.handle({ method: 'POST', path: GAME_PATH, form: { game_level: '1' } }).html;
+        const page = await openWithHelper(html);
+        const { document } = page.window;
+
+        document.body.insertAdjacentHTML('afterbegin', '<p>You Lose!!!</p>');
+        boardCells(document).forEach(cell => {
+            cell.innerHTML = '&nbsp;';
+        });
+        await page.runTimers(100);
+
+        assert.equal(document.querySelectorAll('.neggsweeper-helper-cell').length, 0);
+        assert.ok(boardCells(document).every(cell => !cell.hasAttribute('class') && !cell.hasAttribute('title')));
+        page.window.close();
+    });
+
+    test('shades every covered tile by its bad negg probability, with a tooltip', async () => {
+        const simulator = new NeggSweeperSimulator({ seed: 14 });
+        simulator.handle({ method: 'POST', path: GAME_PATH, form: { game_level: '2' } });
+        const html = simulator.handle({ method: 'POST', path: GAME_PATH, form: { position: '6-6', flag: '0' } }).html;
+
+        const gameParser = new NeggSweeperGrid(new JSDOM(html).window.document.querySelector('table[bgcolor="black"]'));
+        gameParser.parse();
+        const solver = new NeggSweeperSolver(gameParser.grid, gameParser.getHiddenMineCount());
+        const solved = markSolution(gameParser.grid, solver.solve());
+
+        const page = await openWithHelper(html);
+        const cells = boardCells(page.window.document);
+        const columns = gameParser.grid[0].length;
+        const shade = cell => Array.from(cell.classList).find(className => className.startsWith('neggsweeper-helper-heat-'));
+
+        solved.forEach((row, r) => row.forEach((value, c) => {
+            const cell = cells[r * columns + c];
+            if (value !== 'C') {
+                assert.equal(shade(cell), undefined, `[${r}, ${c}] is not shaded`);
+                return;
+            }
+            const percent = (solver.getProbability(r, c) * 100).toFixed(1);
+            assert.ok(shade(cell), `[${r}, ${c}] is shaded`);
+            assert.equal(cell.title, `NeggSweeper Helper: ${percent}% chance of a bad negg`);
+            assert.ok(cell.querySelector('img[onclick]'), 'shaded tiles stay clickable');
+        }));
+
+        const shades = new Set(cells.map(shade).filter(Boolean));
+        assert.ok(shades.size > 1, 'different probabilities get different shades');
+        const styles = page.window.document.getElementById('neggsweeper-helper-styles').textContent;
+        shades.forEach(className => assert.ok(styles.includes(`.${className} {`), `${className} has a colour`));
+        page.window.close();
+    });
+
+    test('leaves the game\'s tiles in place', async () => {
+        const simulator = new NeggSweeperSimulator({ seed: 14 });
+        simulator.handle({ method: 'POST', path: GAME_PATH, form: { game_level: '2' } });
+        const html = simulator.handle({ method: 'POST', path: GAME_PATH, form: { position: '6-6', flag: '0' } }).html;
+
+        const page = await openWithHelper(html);
+        const { document } = page.window;
+        const original = boardCells(new JSDOM(html).window.document);
+        const live = boardCells(document);
+        assert.ok(document.querySelector('.neggsweeper-helper-safe') && document.querySelector('.neggsweeper-helper-mine'));
+        live.forEach((cell, index) => assert.equal(cell.innerHTML, original[index].innerHTML));
+        page.window.close();
+    });
+
+    test('shows and hides the highlights with Alt+Shift+O', async () => {
+        const simulator = new NeggSweeperSimulator({ seed: 14 });
+        const html = simulator.handle({ method: 'POST', path: GAME_PATH, form: { game_level: '1' } }).html;
+        const page = await openWithHelper(html);
+        const { document, KeyboardEvent } = page.window;
+        const table = document.querySelector('table[bgcolor="black"]');
+        const press = () => document.dispatchEvent(new KeyboardEvent('keydown', { code: 'KeyO', altKey: true, shiftKey: true }));
+
+        press();
+        assert.ok(table.classList.contains('neggsweeper-helper-hidden'));
+        assert.ok(document.querySelector('.neggsweeper-helper-cell'), 'the highlights are kept while hidden');
+        press();
+        assert.equal(table.hasAttribute('class'), false);
+        page.window.close();
+    });
+
+    test('explains a highlighted tile and outlines the numbers behind it on hover', async () => {
+        const simulator = new NeggSweeperSimulator({ seed: 14 });
+        simulator.handle({ method: 'POST', path: GAME_PATH, form: { game_level: '2' } });
+        const html = simulator.handle({ method: 'POST', path: GAME_PATH, form: { position: '6-6', flag: '0' } }).html;
+
+        const page = await openWithHelper(html);
+        const { document, MouseEvent } = page.window;
+        const table = document.querySelector('table[bgcolor="black"]');
+        const safe = document.querySelector('.neggsweeper-helper-safe');
+        assert.match(safe.title, /^NeggSweeper Helper: (The \d at row|Every)/);
+
+        safe.querySelector('img').dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+        const sources = document.querySelectorAll('.neggsweeper-helper-source');
+        assert.ok(sources.length > 0);
+        sources.forEach(cell => assert.match(cell.textContent.trim(), /^\d$/, 'only numbers are outlined'));
+
+        table.dispatchEvent(new MouseEvent('mouseleave'));
+        assert.equal(document.querySelectorAll('.neggsweeper-helper-source').length, 0);
+        page.window.close();
+    });
+
+    test('shows an impossible board instead of its deductions', async () => {
+        // The 1 next to the top left corner misread as a 5, with only two covered neighbors
+        const fixture = loadFixture('easy_game');
+        boardCells(fixture)[1].querySelector('b').textContent = '5';
+        const page = await openWithHelper(fixture.documentElement.outerHTML);
+        const { document } = page.window;
+
+        const marked = Array.from(document.querySelectorAll('.neggsweeper-helper-cell'));
+        assert.ok(marked.length > 0);
+        assert.ok(marked.every(cell => cell.classList.contains('neggsweeper-helper-conflict')), 'only the contradiction is shown');
+        assert.match(boardCells(document)[1].title, /impossible.*The 5 at row 1, column 2 has only 2 covered neighbors left/);
+        page.window.close();
+    });
+});
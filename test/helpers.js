@@ -0,0 +1,66 @@
+/**
+ * Shared helpers for the NeggSweeper test suite.
+ * Fixtures in test/fixtures are saved NeggSweeper pages; board fixtures come with a JSON file holding
+ * the expected parsed grid, the expected solution drawn on that grid (see markSolution) and the actual
+ * bad negg layout ("neggs").
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { NeggSweeperGrid } = require('../neggsweeper_core.js');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const GAME_URL = 'https://www.neopets.com/games/neggsweeper/neggsweeper.phtml';
+
+/**
+ * Loads a saved page into a jsdom document. Page scripts are not run.
+ * @param {string} name Fixture name without extension.
+ * @returns {Document} The parsed document.
+ */
+function loadFixture(name) {
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8');
+    return new JSDOM(html, { url: GAME_URL }).window.document;
+}
+
+/**
+ * Reads the expected results for a board fixture.
+ * @param {string} name Fixture name without extension.
+ * @returns {{level: string, remaining: number, grid: Array<Array<string|number>>, solved: Array<Array<string|number>>, neggs: Array<Array<number>>}}
+ */
+function loadExpected(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+/**
+ * Loads a fixture and parses its game table.
+ * @param {string} name Fixture name without extension.
+ * @returns {NeggSweeperGrid} The parsed grid.
+ */
+function parseFixture(name) {
+    const gameParser = new NeggSweeperGrid(loadFixture(name).querySelector('table[bgcolor="black"]'));
+    gameParser.parse();
+    return gameParser;
+}
+
+/**
+ * Draws a solver solution on a copy of the grid, so it can be compared with a readable expected grid:
+ * 'S' for safe tiles, 'X' for bad neggs and '?' for the guess.
+ * @param {Array<Array<string|number>>} grid The grid given to the solver.
+ * @param {Object} solution The result of NeggSweeperSolver.solve().
+ * @returns {Array<Array<string|number>>} The marked copy.
+ */
+function markSolution(grid, solution) {
+    const marked = grid.map(row => [...row]);
+    solution.safe.forEach(([r, c]) => { marked[r][c] = 'S'; });
+    solution.mines.forEach(([r, c]) => { marked[r][c] = 'X'; });
+    if (solution.guess) {
+        const [r, c] = solution.guess.cell;
+        marked[r][c] = '?';
+    }
+    return marked;
+}
+
+module.exports = { FIXTURES_DIR, GAME_URL, loadFixture, loadExpected, parseFixture, markSolution };
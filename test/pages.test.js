@@ -0,0 +1,66 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { PAGE_STATES, classifyPage } = require('../neggsweeper_core.js');
+const { GAME_PATH, NeggSweeperSimulator } = require('../tools/neggsweeper_simulator.js');
+const { loadFixture } = require('./helpers.js');
+
+describe('classifyPage() on fixture pages', () => {
+    const expected = {
+        difficulty_select: PAGE_STATES.DIFFICULTY_SELECTION,
+        easy_game: PAGE_STATES.IN_GAME,
+        medium_flagged_game: PAGE_STATES.IN_GAME,
+        hard_game: PAGE_STATES.IN_GAME,
+        win: PAGE_STATES.WON,
+        lose: PAGE_STATES.LOST,
+        continue_playing: PAGE_STATES.CONTINUE_PLAYING,
+        internal_error: PAGE_STATES.INTERNAL_ERROR,
+        logged_out: PAGE_STATES.LOGGED_OUT,
+        maintenance: PAGE_STATES.MAINTENANCE,
+    };
+
+    Object.entries(expected).forEach(([name, state]) => {
+        test(`${name} is ${state}`, () => {
+            assert.equal(classifyPage(loadFixture(name)).state, state);
+        });
+    });
+
+    test('hands back the forms that move the game on', () => {
+        const won = classifyPage(loadFixture('win'));
+        assert.equal(won.difficultyForm.querySelector('select').name, 'game_level');
+        assert.equal(won.continueButton, null);
+
+        const interstitial = classifyPage(loadFixture('continue_playing'));
+        assert.equal(interstitial.continueButton.value, 'Continue Playing');
+        assert.equal(interstitial.difficultyForm, null);
+    });
+
+    test('recognises the win screen by either of its texts', () => {
+        const { document } = new JSDOM('<body><b>You have won 150 NP!</b></body>').window;
+        assert.equal(classifyPage(document).state, PAGE_STATES.WON);
+    });
+
+    test('anything else is unknown', () => {
+        const { document } = new JSDOM('<body><p>Welcome to Neopets!</p></body>').window;
+        assert.equal(classifyPage(document).state, PAGE_STATES.UNKNOWN);
+    });
+});
+
+describe('classifyPage() on simulator pages', () => {
+    test('follows a game from the difficulty form to its end', () => {
+        const simulator = new NeggSweeperSimulator({ seed: 3 });
+        const state = html => classifyPage(new JSDOM(html).window.document).state;
+
+        assert.equal(state(simulator.handle({ method: 'GET', path: GAME_PATH, form: {} }).html), PAGE_STATES.DIFFICULTY_SELECTION);
+        assert.equal(state(simulator.handle({ method: 'POST', path: GAME_PATH, form: { game_level: '1' } }).html), PAGE_STATES.IN_GAME);
+
+        // Clicking every tile ends the game on the first bad negg
+        let html = null;
+        for (let position = 0; position < 81 && (html === null || state(html) === PAGE_STATES.IN_GAME); position++) {
+            html = simulator.handle({ method: 'POST', path: GAME_PATH, form: { position: `${Math.floor(position / 9)}-${position % 9}`, flag: '0' } }).html;
+        }
+        assert.ok([PAGE_STATES.WON, PAGE_STATES.LOST].includes(state(html)));
+    });
+});
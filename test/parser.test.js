@@ -0,0 +1,220 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { NeggSweeperGrid } = require('../neggsweeper_core.js');
+const { loadFixture, loadExpected, parseFixture } = require('./helpers.js');
+
+const BOARD_FIXTURES = ['easy_game', 'medium_flagged_game', 'hard_game'];
+
+describe('NeggSweeperGrid.parse()', () => {
+    BOARD_FIXTURES.forEach(name => {
+        test(`parses the ${name} board`, () => {
+            const expected = loadExpected(name);
+            const gameParser = parseFixture(name);
+
+            assert.equal(gameParser.remaining, expected.remaining);
+            assert.deepEqual(gameParser.grid, expected.grid);
+        });
+    });
+
+    test('maps every grid cell to its <td>', () => {
+        const gameParser = parseFixture('easy_game');
+
+        gameParser.grid.forEach((row, r) => row.forEach((value, c) => {
+            const domCell = gameParser.getDomCell(r, c);
+            assert.equal(domCell.tagName, 'TD');
+            assert.equal(value === 'C', domCell.querySelector('img[src*="gn.gif"]') !== null);
+        }));
+        assert.equal(gameParser.getDomCell(9, 0), null);
+    });
+
+    test('recognises flagged neggs and adds them back to the hidden count', () => {
+        const gameParser = parseFixture('medium_flagged_game');
+
+        assert.equal(gameParser.grid[3][4], 'F');
+        assert.equal(gameParser.grid[2][5], 'F');
+        assert.equal(gameParser.getHiddenMineCount(), gameParser.remaining + 2);
+    });
+
+    test('resets its state when parsing again', () => {
+        const gameParser = parseFixture('hard_game');
+        gameParser.parse();
+
+        assert.deepEqual(gameParser.grid, loadExpected('hard_game').grid);
+        assert.equal(gameParser.domCellMap.size, 14 * 14);
+    });
+
+    test('reads covered tiles the userscripts have decorated', () => {
+        const gameParser = parseFixture('easy_game');
+        const expected = gameParser.grid.map(row => [...row]);
+        gameParser.domCellMap.forEach(cell => {
+            const img = cell.querySelector('img');
+            if (img) {
+                // What the visualizers do: swap the image for a coloured span that keeps its attributes
+                const span = cell.ownerDocument.createElement('span');
+                Array.from(img.attributes).forEach(attr => span.setAttribute(attr.name, attr.value));
+                span.innerHTML = '<font color="black" size="-1"><b>12%</b></font>';
+                cell.replaceChildren(span);
+            }
+        });
+        gameParser.parse();
+
+        assert.deepEqual(gameParser.grid, expected);
+    });
+
+    test('parses the revealed board on the lose screen', () => {
+        const gameParser = parseFixture('lose');
+
+        assert.equal(gameParser.remaining, 0);
+        assert.equal(gameParser.grid.length, 14);
+        assert.ok(gameParser.grid.every(row => row.length === 14 && !row.includes('C')));
+    });
+
+    test('requires a game table', () => {
+        assert.throws(() => new NeggSweeperGrid(null), /Main game table element is required/);
+    });
+
+    test('leaves the grid empty and the counter unknown without a board', () => {
+        const document = loadFixture('difficulty_select');
+        const gameParser = new NeggSweeperGrid(document.body);
+        gameParser.parse();
+
+        assert.deepEqual(gameParser.grid, []);
+        assert.equal(gameParser.remaining, null);
+        assert.equal(gameParser.getHiddenMineCount(), null);
+    });
+});
+
+describe('NeggSweeperGrid.diagnose()', () => {
+    /**
+     * Parses a board fixture after changing its markup.
+     * @param {string} name Fixture name without extension.
+     * @param {function(HTMLElement): void} change Edits the game table.
+     * @param {Object} [options] Options for diagnose().
+     * @returns {Object} The report from diagnose().
+     */
+    function diagnoseChanged(name, change, options) {
+        const table = loadFixture(name).querySelector('table[bgcolor="black"]');
+        change(table);
+        const gameParser = new NeggSweeperGrid(table);
+        gameParser.parse();
+        return gameParser.diagnose(options);
+    }
+
+    // Removes the difficulty name next to the counter
+    const removeLevel = table => table.querySelector('tr[bgcolor="silver"] table[bgcolor="black"] tr[bgcolor="white"] > td:nth-child(2) > b').remove();
+
+    BOARD_FIXTURES.forEach(name => {
+        test(`finds nothing wrong with the ${name} board`, () => {
+            const gameParser = parseFixture(name);
+            const report = gameParser.diagnose();
+
+            assert.deepEqual(report.problems, []);
+            assert.equal(report.ok, true);
+            assert.equal(report.level, ['Easy', 'Medium', 'Hard'][Number(loadExpected(name).level) - 1]);
+            assert.equal(report.snapshot, null);
+        });
+    });
+
+    test('reports a board without rows', () => {
+        const report = diagnoseChanged('easy_game', table => {
+            table.querySelectorAll('tr[bgcolor="white"]').forEach(row => row.setAttribute('bgcolor', '#ffffff'));
+        });
+
+        assert.equal(report.ok, false);
+        assert.match(report.problems.join(' '), /No board rows found/);
+        assert.match(report.snapshot, /^<table/);
+    });
+
+    test('reports ragged rows and a size that does not match the difficulty', () => {
+        const report = diagnoseChanged('easy_game', table => {
+            const rows = table.querySelectorAll(':scope > tbody > tr[bgcolor="white"]');
+            rows[0].lastElementChild.remove();
+            rows[8].remove();
+        });
+
+        assert.match(report.problems.join(' '), /Row 2 has 9 cells, expected 8\./);
+        assert.match(report.problems.join(' '), /The Easy board should be 9x9, found 8x8\./);
+    });
+
+    test('takes the difficulty from the board size when the page does not name it', () => {
+        const report = diagnoseChanged('easy_game', removeLevel);
+
+        assert.deepEqual(report.problems, []);
+        assert.equal(report.level, 'Easy');
+    });
+
+    test('checks the size against the selected difficulty when the page does not name it', () => {
+        assert.equal(diagnoseChanged('easy_game', removeLevel, { level: 'Easy' }).ok, true);
+
+        const report = diagnoseChanged('easy_game', removeLevel, { level: 'Hard' });
+        assert.deepEqual(report.problems, ['The Hard board should be 14x14, found 9x9.']);
+    });
+
+    test('reports a board that fits no difficulty', () => {
+        const report = diagnoseChanged('easy_game', table => {
+            removeLevel(table);
+            table.querySelectorAll(':scope > tbody > tr[bgcolor="white"]').forEach(row => row.lastElementChild.remove());
+        });
+
+        assert.match(report.problems.join(' '), /The board is 9x8, which does not match any difficulty\./);
+    });
+
+    test('reports a remaining count that does not fit the board', () => {
+        const report = diagnoseChanged('easy_game', table => {
+            table.querySelector('tr[bgcolor="silver"] td:first-child > b').textContent = '99';
+        });
+
+        assert.match(report.problems.join(' '), /Remaining count 99 does not fit/);
+    });
+
+    test('reports tiles it cannot read, such as a renamed covered tile image', () => {
+        const report = diagnoseChanged('easy_game', table => {
+            table.querySelectorAll('img[src*="gn.gif"]').forEach(img => img.setAttribute('src', 'https://images.neopets.com/x/negg_covered.png?v=2'));
+        });
+
+        assert.match(report.problems.join(' '), /could not be read: \[0, 0\], \[0, 8\]/);
+    });
+
+    test('sanitizes the snapshot', () => {
+        const report = diagnoseChanged('easy_game', table => {
+            table.querySelector('td').insertAdjacentHTML('beforeend', '<input type="hidden" name="_ref_ck" value="secret"><script>steal()</script>');
+            table.querySelectorAll('img[src*="gn.gif"]').forEach(img => img.setAttribute('src', 'https://images.neopets.com/x/gn2.gif?session=secret'));
+        });
+
+        assert.equal(report.ok, false);
+        assert.doesNotMatch(report.snapshot, /secret|steal|onclick|style=/);
+        assert.match(report.snapshot, /src="https:\/\/images\.neopets\.com\/x\/gn2\.gif"/);
+    });
+});
+
+describe('page fixtures', () => {
+    test('the win screen has the game over text and the difficulty form', () => {
+        const document = loadFixture('win');
+
+        assert.match(document.body.textContent, /You Win!!!/);
+        assert.match(document.body.textContent, /You have won/);
+        assert.ok(document.querySelector('form[action="/games/neggsweeper/neggsweeper.phtml"][method="post"] select[name="game_level"]'));
+    });
+
+    test('the lose screen has the game over text and the difficulty form', () => {
+        const document = loadFixture('lose');
+
+        assert.match(document.body.textContent, /You Lose!!!/);
+        assert.ok(document.querySelector('input[type="submit"][value="Play Again!!!"]'));
+    });
+
+    test('the interstitial has the Continue Playing form', () => {
+        const document = loadFixture('continue_playing');
+
+        assert.ok(document.querySelector('form[method="post"][action="neggsweeper.phtml"] input[type="submit"][value="Continue Playing"]'));
+        assert.equal(document.querySelector('table[bgcolor="black"]'), null);
+    });
+
+    test('board pages show the gameplay indicator', () => {
+        BOARD_FIXTURES.forEach(name => {
+            assert.match(loadFixture(name).body.textContent, /Hold down the CONTROL key while clicking on a negg to add or remove a flag!/);
+        });
+    });
+});
@@ -0,0 +1,153 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { NeggSweeperGrid } = require('../neggsweeper_core.js');
+const { GAME_PATH, NeggSweeperGame, NeggSweeperSimulator } = require('../tools/neggsweeper_simulator.js');
+const { AutoplayRunner, runInWorkers } = require('../tools/autoplay_runner.js');
+
+/**
+ * Parses a rendered page the way the userscripts do.
+ * @param {string} html The page.
+ * @returns {{document: Document, gameParser: NeggSweeperGrid|null}}
+ */
+function parsePage(html) {
+    const { document } = new JSDOM(html).window;
+    const table = document.querySelector('table[bgcolor="black"]');
+    const gameParser = table ? new NeggSweeperGrid(table) : null;
+    if (gameParser) gameParser.parse();
+    return { document, gameParser };
+}
+
+describe('NeggSweeperGame', () => {
+    test('places the same bad neggs for the same seed, away from the first click', () => {
+        const first = new NeggSweeperGame('3', 42);
+        const second = new NeggSweeperGame('3', 42);
+        first.reveal(7, 7);
+        second.reveal(7, 7);
+
+        assert.deepEqual(first.mines, second.mines);
+        assert.equal(first.mines.flat().filter(Boolean).length, 40);
+        first.neighbors(7, 7).concat([[7, 7]]).forEach(([r, c]) => assert.equal(first.mines[r][c], false));
+        assert.ok(first.revealedCount() >= 9);
+    });
+
+    test('is lost on a bad negg and won once every good negg is uncovered', () => {
+        const lost = new NeggSweeperGame('1', 3);
+        lost.reveal(0, 0);
+        const [mr, mc] = lost.mines.flatMap((row, r) => row.map((mine, c) => (mine ? [r, c] : null))).find(Boolean);
+        lost.reveal(mr, mc);
+        assert.equal(lost.state, 'lost');
+
+        const won = new NeggSweeperGame('1', 3);
+        won.reveal(0, 0);
+        won.mines.forEach((row, r) => row.forEach((mine, c) => {
+            if (!mine) won.reveal(r, c);
+        }));
+        assert.equal(won.state, 'won');
+    });
+
+    test('flags change the counter and protect the tile', () => {
+        const game = new NeggSweeperGame('1', 5);
+        game.toggleFlag(0, 0);
+        assert.equal(game.remaining(), 9);
+
+        game.reveal(0, 0);
+        assert.equal(game.revealed[0][0], false);
+
+        game.toggleFlag(0, 0);
+        assert.equal(game.remaining(), 10);
+    });
+});
+
+describe('NeggSweeperSimulator pages', () => {
+    test('serves the difficulty form first', () => {
+        const { document } = parsePage(new NeggSweeperSimulator().handle({ method: 'GET', path: GAME_PATH }).html);
+
+        assert.ok(document.querySelector('form[action="/games/neggsweeper/neggsweeper.phtml"][method="post"] select[name="game_level"]'));
+        assert.ok(document.querySelector('input[type="submit"][value="Play Again!!!"]'));
+    });
+
+    test('renders a board the parser reads back exactly', () => {
+        const simulator = new NeggSweeperSimulator({ seed: 9 });
+        simulator.handle({ method: 'POST', path: GAME_PATH, form: { game_level: '2' } });
+        simulator.handle({ method: 'POST', path: GAME_PATH, form: { position: '6-6', flag: '0' } });
+        const { game } = simulator;
+        const [fr, fc] = game.mines.flatMap((row, r) => row.map((mine, c) => (mine ? [r, c] : null))).find(Boolean);
+        const { html } = simulator.handle({ method: 'POST', path: GAME_PATH, form: { position: `${fr}-${fc}`, flag: '1' } });
+        const { document, gameParser } = parsePage(html);
+
+        assert.match(document.body.textContent, /Hold down the CONTROL key while clicking on a negg to add or remove a flag!/);
+        assert.equal(gameParser.remaining, 24);
+        gameParser.grid.forEach((row, r) => row.forEach((value, c) => {
+            if (game.flagged[r][c]) assert.equal(value, 'F');
+            else if (!game.revealed[r][c]) assert.equal(value, 'C');
+            else assert.equal(value, game.adjacentMines(r, c) || 'B');
+        }));
+    });
+
+    test('records finished games and shows the game over screen', () => {
+        const simulator = new NeggSweeperSimulator({ seed: 4 });
+        simulator.handle({ method: 'POST', path: GAME_PATH, form: { game_level: '1' } });
+        simulator.handle({ method: 'POST', path: GAME_PATH, form: { position: '4-4', flag: '0' } });
+        const [mr, mc] = simulator.game.mines.flatMap((row, r) => row.map((mine, c) => (mine ? [r, c] : null))).find(Boolean);
+        const { html } = simulator.handle({ method: 'POST', path: GAME_PATH, form: { position: `${mr}-${mc}`, flag: '0' } });
+
+        assert.match(parsePage(html).document.body.textContent, /You Lose!!!/);
+        assert.equal(simulator.results.length, 1);
+        assert.equal(simulator.results[0].result, 'lost');
+        assert.equal(simulator.results[0].level, '1');
+    });
+
+    test('shows the Continue Playing interstitial and returns to the board', () => {
+        const simulator = new NeggSweeperSimulator({ seed: 4, interstitialRate: 1 });
+        simulator.handle({ method: 'POST', path: GAME_PATH, form: { game_level: '1' } });
+        const interstitial = simulator.handle({ method: 'POST', path: GAME_PATH, form: { position: '4-4', flag: '0' } }).html;
+
+        assert.ok(parsePage(interstitial).document.querySelector('input[type="submit"][value="Continue Playing"]'));
+        assert.ok(parsePage(simulator.handle({ method: 'POST', path: GAME_PATH, form: {} }).html).gameParser);
+    });
+});
+
+describe('AutoplayRunner', () => {
+    test('plays a full game with the autoplayer', async () => {
+        const runner = new AutoplayRunner({ simulator: new NeggSweeperSimulator({ seed: 1, interstitialRate: 0.05 }) });
+        const report = await runner.run(1);
+
+        assert.equal(report.stopReason, 'completed');
+        assert.deepEqual(report.errors, []);
+        assert.equal(report.results.length, 1);
+        assert.equal(report.results[0].level, '3', 'Hard is the default level');
+        assert.ok(report.results[0].revealed > 0);
+    });
+
+    test('rotates through the configured levels across page reloads', async () => {
+        const settings = { difficultyMode: 'rotate', rotationLevels: ['1', '2'] };
+        const runner = new AutoplayRunner({ simulator: new NeggSweeperSimulator({ seed: 2 }), storage: { settings: JSON.stringify(settings) } });
+        const report = await runner.run(3);
+
+        assert.deepEqual(report.results.map(({ level }) => level), ['1', '2', '1']);
+        // The last game over screen already starts a fourth game
+        assert.deepEqual(JSON.parse(runner.storage.get('session')).gamesByLevel, { 1: 2, 2: 2 });
+    });
+
+    test('stops once every level target is reached', async () => {
+        const settings = { difficultyMode: 'targets', levelTargets: { 1: 2, 2: 0, 3: 0 } };
+        const runner = new AutoplayRunner({ simulator: new NeggSweeperSimulator({ seed: 3 }), storage: { settings: JSON.stringify(settings) } });
+        const report = await runner.run(5);
+
+        assert.equal(report.stopReason, 'autoplayer stopped');
+        assert.deepEqual(report.results.map(({ level }) => level), ['1', '1']);
+    });
+
+    test('splits a run between worker threads', async () => {
+        const settings = { difficultyMode: 'fixed', fixedLevel: '1' };
+        const report = await runInWorkers({ games: 3, jobs: 2, seed: 5, storage: { settings: JSON.stringify(settings) } });
+
+        assert.equal(report.stopReason, 'completed');
+        assert.deepEqual(report.errors, []);
+        assert.deepEqual(report.results.map(({ seed }) => seed), [5, 6, 7]);
+        assert.ok(report.pageLoads > 3);
+    });
+});
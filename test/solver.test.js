@@ -0,0 +1,442 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { NeggSweeperSolver } = require('../neggsweeper_core.js');
+const { loadExpected, parseFixture, markSolution } = require('./helpers.js');
+
+/**
+ * Checks that every 'S' in a solved grid is a good negg and every 'X' a bad one.
+ * @param {Array<Array<string|number>>} solved The solved grid.
+ * @param {Array<Array<number>>} neggs The actual layout, 1 for a bad negg.
+ */
+function assertSound(solved, neggs) {
+    solved.forEach((row, r) => row.forEach((value, c) => {
+        if (value === 'S') assert.equal(neggs[r][c], 0, `[${r}, ${c}] marked safe but is a bad negg`);
+        if (value === 'X') assert.equal(neggs[r][c], 1, `[${r}, ${c}] marked as a mine but is a good negg`);
+    }));
+}
+
+describe('NeggSweeperSolver.solve() on fixture boards', () => {
+    ['easy_game', 'medium_flagged_game', 'hard_game'].forEach(name => {
+        test(`solves the ${name} board`, () => {
+            const expected = loadExpected(name);
+            const gameParser = parseFixture(name);
+            const solver = new NeggSweeperSolver(gameParser.grid, gameParser.getHiddenMineCount());
+            const solved = markSolution(gameParser.grid, solver.solve());
+
+            assert.deepEqual(solved, expected.solved);
+            assertSound(solved, expected.neggs);
+            assert.deepEqual(gameParser.grid, expected.grid, 'the parsed grid must not be modified');
+        });
+    });
+
+    test('reports a flag that the deductions prove safe', () => {
+        const gameParser = parseFixture('medium_flagged_game');
+        const solver = new NeggSweeperSolver(gameParser.grid, gameParser.getHiddenMineCount());
+        const solution = solver.solve();
+
+        assert.deepEqual(solution.flagConflicts, [[2, 5]]);
+        assert.ok(solution.mines.some(([r, c]) => r === 3 && c === 4));
+        assert.ok(!solution.safe.some(([r, c]) => r === 2 && c === 5));
+    });
+
+    test('does not guess while a tile is proven safe', () => {
+        const gameParser = parseFixture('medium_flagged_game');
+        const solution = new NeggSweeperSolver(gameParser.grid, gameParser.getHiddenMineCount()).solve();
+
+        assert.ok(solution.safe.length > 0);
+        assert.equal(solution.guess, null);
+        assert.deepEqual(solution.recommendedMove.cell, solution.safe[0]);
+    });
+});
+
+describe('NeggSweeperSolver strategies', () => {
+    test('a satisfied number makes its covered neighbors safe', () => {
+        const grid = [
+            [1, 'C'],
+            ['X', 'C'],
+        ];
+        const solver = new NeggSweeperSolver(grid);
+
+        assert.deepEqual(markSolution(grid, solver.solve()), [
+            [1, 'S'],
+            ['X', 'S'],
+        ]);
+    });
+
+    test('a number with as many covered neighbors as mines marks them all', () => {
+        const grid = [
+            ['C', 2, 'C'],
+            ['B', 'B', 'B'],
+        ];
+        const solver = new NeggSweeperSolver(grid);
+
+        assert.deepEqual(markSolution(grid, solver.solve()), [
+            ['X', 2, 'X'],
+            ['B', 'B', 'B'],
+        ]);
+    });
+
+    test('the subset rule resolves a 1-2 pattern', () => {
+        const solver = new NeggSweeperSolver([
+            ['C', 'C', 'C'],
+            [1, 2, 'B'],
+            ['B', 'B', 'B'],
+        ]);
+        assert.deepEqual(solver.solve().mines, [[0, 2]]);
+    });
+
+    test('the global count clears every covered cell once all bad neggs are found', () => {
+        const solver = new NeggSweeperSolver([
+            ['C', 'C', 'C', 'C'],
+            ['C', 'C', 'C', 'C'],
+        ], 0);
+        const solution = solver.solve();
+
+        assert.equal(solution.safe.length, 8);
+        assert.deepEqual(solution.mines, []);
+    });
+
+    test('the global count marks every covered cell when they are all bad neggs', () => {
+        const solver = new NeggSweeperSolver([
+            ['C', 1, 'B'],
+            ['B', 'B', 'B'],
+        ], 1);
+
+        assert.deepEqual(solver.solve().mines, [[0, 0]]);
+    });
+
+    test('the global count picks the layout that uses the right number of bad neggs', () => {
+        // Both 1s share the middle cell: either it is the only bad negg or both outer cells are
+        const grid = [
+            ['C', 'C', 'C'],
+            [1, 'B', 1],
+        ];
+
+        const solverOne = new NeggSweeperSolver(grid, 1);
+        assert.deepEqual(markSolution(grid, solverOne.solve())[0], ['S', 'X', 'S']);
+
+        const solverTwo = new NeggSweeperSolver(grid, 2);
+        assert.deepEqual(markSolution(grid, solverTwo.solve())[0], ['X', 'S', 'X']);
+    });
+
+    test('switched off strategies are skipped', () => {
+        const grid = [
+            [1, 'C'],
+            ['X', 'C'],
+        ];
+        const strategies = { neighbors: false, subsets: false, linearConstraints: false, globalCount: false, probabilities: false };
+        const solver = new NeggSweeperSolver(grid, null, { strategies });
+
+        const solution = solver.solve();
+        assert.deepEqual(markSolution(grid, solution), grid);
+        assert.equal(solution.recommendedMove, null);
+
+        const neighborsOnly = new NeggSweeperSolver(grid, null, { strategies: { ...strategies, neighbors: true } });
+        assert.deepEqual(markSolution(grid, neighborsOnly.solve())[0], [1, 'S']);
+    });
+});
+
+describe('NeggSweeperSolver linear constraints', () => {
+    // No two of the numbers around the 4 decide anything, all of them together do
+    const grid = [
+        ['C', 'C', 'C', 'C', 'C', 'C', 'C', 'C', 'C'],
+        ['C', 'C', 'C', 'C', 'C', 'C', 'C', 'C', 'C'],
+        ['C', 'C', 'C', 'C', 'C', 'C', 'C', 'C', 'C'],
+        ['C', 'C', 'C', 1, 1, 1, 4, 'C', 'C'],
+        ['C', 'C', 'C', 1, 'B', 'B', 2, 'C', 'C'],
+        ['C', 'C', 'C', 1, 1, 1, 2, 'C', 'C'],
+        ['C', 'C', 'C', 'C', 'C', 'C', 'C', 'C', 'C'],
+        ['C', 'C', 'C', 'C', 'C', 'C', 'C', 'C', 'C'],
+        ['C', 'C', 'C', 'C', 'C', 'C', 'C', 'C', 'C'],
+    ];
+
+    test('decides tiles that follow from a chain of three numbers', () => {
+        const pairwise = new NeggSweeperSolver(grid, null, { strategies: { linearConstraints: false, probabilities: false } }).solve();
+        assert.deepEqual([...pairwise.safe, ...pairwise.mines], []);
+
+        const solution = new NeggSweeperSolver(grid, null, { strategies: { probabilities: false } }).solve();
+        const ids = cells => cells.map(cell => cell.join('_')).sort();
+        assert.deepEqual(ids(solution.safe), ['2_4', '5_7']);
+        assert.deepEqual(ids(solution.mines), ['2_7', '3_7', '4_7']);
+    });
+
+    test('runs before guessing and explains which numbers were combined', () => {
+        const solver = new NeggSweeperSolver(grid);
+        solver.solve();
+
+        const explanation = solver.getExplanation(2, 4);
+        assert.equal(explanation.value, 'S');
+        assert.equal(explanation.rule, 'linearConstraints');
+        assert.deepEqual(explanation.sources, [[3, 5], [3, 6], [4, 6]]);
+        assert.equal(explanation.text, 'Taken together, the 1 at row 4, column 6, the 4 at row 4, column 7 and the 2 at row 5, column 7 only add up if this tile is clear.');
+    });
+});
+
+describe('NeggSweeperSolver probabilities', () => {
+    test('computes exact frontier probabilities', () => {
+        const solver = new NeggSweeperSolver([
+            [1, 'C'],
+            ['C', 'C'],
+        ]);
+        solver.solve();
+
+        ['0_1', '1_0', '1_1'].forEach(id => assert.equal(solver.probabilities.get(id), 1 / 3));
+        assert.equal(solver.getProbability(0, 0), null);
+    });
+
+    test('weights frontier layouts by the interior cells and gives interior cells a probability', () => {
+        const solver = new NeggSweeperSolver([
+            [1, 'C', 'C', 'C'],
+            ['C', 'C', 'C', 'C'],
+            ['C', 'C', 'C', 'C'],
+        ], 3);
+        solver.solve();
+
+        // One bad negg next to the 1 and two among the 8 interior cells
+        assert.equal(solver.getProbability(0, 1), 1 / 3);
+        assert.equal(solver.getProbability(2, 3), 0.25);
+    });
+
+    test('guesses the covered cell least likely to be a bad negg', () => {
+        const solver = new NeggSweeperSolver([
+            ['C', 'C', 'C', 'C', 'C'],
+            [2, 'B', 'B', 'B', 1],
+            ['X', 'B', 'B', 'B', 'C'],
+        ]);
+        const { guess } = solver.solve();
+
+        assert.equal(guess.cell.length, 2);
+        const [r, c] = guess.cell;
+        assert.equal(guess.probability, solver.getProbability(r, c));
+        solver.probabilities.forEach(other => assert.ok(guess.probability <= other));
+    });
+
+    test('never guesses a flagged negg', () => {
+        const solver = new NeggSweeperSolver([
+            ['F', 'C'],
+            ['C', 'C'],
+        ]);
+
+        assert.notDeepEqual(solver.solve().guess.cell, [0, 0]);
+    });
+
+    test('still guesses when the probabilities only prove bad neggs', () => {
+        // The counter puts the other two bad neggs on the far tiles; the 1 is left to a coin flip
+        const solution = new NeggSweeperSolver([['C', 1, 'C', 'B', 'B', 'C', 'C']], 3).solve();
+
+        assert.deepEqual(solution.mines, [[0, 5], [0, 6]]);
+        assert.deepEqual(solution.safe, []);
+        assert.deepEqual(solution.recommendedMove, { cell: [0, 0], probability: 0.5, guess: true });
+    });
+
+    test('does not weigh interior cells by the counter when the frontier could not be enumerated', () => {
+        // All 18 bad neggs are on the frontier, the same number as interior cells in the last row
+        const solver = new NeggSweeperSolver([
+            new Array(18).fill('C'),
+            [2, ...new Array(16).fill(3), 2],
+            new Array(18).fill('C'),
+            new Array(18).fill('C'),
+        ], 18);
+        const solution = solver.solve();
+
+        assert.deepEqual(solution.mines, [], 'nothing proves the interior cells are bad neggs');
+        assert.equal(solver.getProbability(3, 0), null);
+        assert.deepEqual(solution.contradictions, []);
+    });
+});
+
+describe('NeggSweeperSolver explanations', () => {
+    test('names the number behind a single-number deduction', () => {
+        const solver = new NeggSweeperSolver([
+            [1, 'C'],
+            ['X', 'C'],
+        ]);
+        solver.solve();
+
+        const explanation = solver.getExplanation(0, 1);
+        assert.equal(explanation.value, 'S');
+        assert.equal(explanation.rule, 'neighbors');
+        assert.deepEqual(explanation.sources, [[0, 0]]);
+        assert.match(explanation.text, /The 1 at row 1, column 1/);
+        assert.equal(solver.getExplanation(0, 0), null, 'undecided cells have no explanation');
+    });
+
+    test('names both numbers behind a subset deduction', () => {
+        const solver = new NeggSweeperSolver([
+            ['C', 'C', 'C'],
+            [1, 2, 'B'],
+            ['B', 'B', 'B'],
+        ]);
+        solver.solve();
+
+        const explanation = solver.getExplanation(0, 2);
+        assert.equal(explanation.value, 'X');
+        assert.equal(explanation.rule, 'subsets');
+        assert.deepEqual(explanation.sources, [[1, 0], [1, 1]]);
+    });
+
+    test('explains the global count and probabilistic decisions', () => {
+        const counted = new NeggSweeperSolver([
+            ['C', 'C'],
+            ['C', 'C'],
+        ], 0);
+        counted.solve();
+        assert.equal(counted.getExplanation(1, 1).rule, 'globalCount');
+        assert.deepEqual(counted.getExplanation(1, 1).sources, []);
+
+        const guessed = new NeggSweeperSolver([
+            ['C', 'C', 'C', 'C', 'C'],
+            [2, 'B', 'B', 'B', 1],
+            ['X', 'B', 'B', 'B', 'C'],
+        ]);
+        const [r, c] = guessed.solve().guess.cell;
+        const explanation = guessed.getExplanation(r, c);
+        assert.equal(explanation.value, '?');
+        assert.equal(explanation.rule, 'probabilities');
+        assert.ok(explanation.sources.length > 0);
+        assert.ok(explanation.text.includes(`${(guessed.getProbability(r, c) * 100).toFixed(1)}%`));
+    });
+
+    test('gives no guess explanation while a tile is proven safe', () => {
+        const gameParser = parseFixture('medium_flagged_game');
+        const solver = new NeggSweeperSolver(gameParser.grid, gameParser.getHiddenMineCount());
+        solver.solve();
+
+        const guesses = Array.from(solver.explanations.values()).filter(({ value }) => value === '?');
+        assert.deepEqual(guesses, []);
+        assert.equal(solver.getExplanation(0, 0), null);
+    });
+});
+
+describe('NeggSweeperSolver.validate()', () => {
+    test('finds nothing wrong with the fixture boards', () => {
+        ['easy_game', 'medium_flagged_game', 'hard_game'].forEach(name => {
+            const gameParser = parseFixture(name);
+            const solver = new NeggSweeperSolver(gameParser.grid, gameParser.getHiddenMineCount());
+            solver.solve();
+
+            assert.deepEqual(solver.contradictions, [], name);
+        });
+    });
+
+    test('reports a number with too few covered neighbors and deduces nothing', () => {
+        const grid = [
+            [3, 'C', 'C'],
+            ['B', 'B', 'C'],
+        ];
+        const solver = new NeggSweeperSolver(grid);
+        const solution = solver.solve();
+
+        assert.deepEqual(markSolution(grid, solution), grid);
+        assert.equal(solution.contradictions.length, 1);
+        assert.deepEqual(solution.contradictions[0].cells, [[0, 0], [0, 1]]);
+        assert.match(solution.contradictions[0].text, /The 3 at row 1, column 1 has only 1 covered neighbor left for 3 more bad neggs\./);
+        assert.equal(solution.recommendedMove, null);
+    });
+
+    test('reports a number touching too many bad neggs', () => {
+        const solver = new NeggSweeperSolver([
+            [1, 'X'],
+            ['X', 'C'],
+        ]);
+        solver.solve();
+
+        assert.deepEqual(solver.contradictions[0].cells, [[0, 0], [0, 1], [1, 0]]);
+    });
+
+    test('reports a counter that does not fit the covered tiles', () => {
+        const solver = new NeggSweeperSolver([
+            ['C', 1],
+            ['B', 'B'],
+        ], 2);
+        solver.solve();
+
+        assert.deepEqual(solver.contradictions, [{ cells: [], text: 'The counter shows 2 bad neggs still hidden, but only 1 covered tile is left.' }]);
+    });
+
+    test('reports deductions that break another number', () => {
+        const solver = new NeggSweeperSolver([
+            ['C', 'C', 'C'],
+            [1, 3, 1],
+        ]);
+        const solution = solver.solve();
+
+        // The 3 makes all three cells bad neggs, which is too many for both 1s
+        assert.deepEqual(solution.contradictions.map(({ cells }) => cells[0]), [[1, 0], [1, 2]]);
+        assert.deepEqual(solution.mines, [], 'nothing deduced from an impossible board is passed on');
+        assert.equal(solution.recommendedMove, null);
+    });
+
+    test('reports numbers that no layout satisfies together', () => {
+        const strategies = { neighbors: false, subsets: false, linearConstraints: false, globalCount: false };
+        const solver = new NeggSweeperSolver([
+            ['C', 'C', 'C'],
+            [1, 3, 1],
+        ], null, { strategies });
+        const solution = solver.solve();
+
+        assert.equal(solution.contradictions.length, 1);
+        assert.deepEqual(solution.contradictions[0].cells, [[1, 0], [1, 1], [1, 2]]);
+        assert.equal(solution.recommendedMove, null);
+    });
+
+    test('does not check the counter against a frontier too large to enumerate', () => {
+        // 36 covered tiles share every number, far too many layouts to enumerate; alternating bad neggs fit the counter
+        const solver = new NeggSweeperSolver([
+            new Array(18).fill('C'),
+            [2, ...new Array(16).fill(3), 2],
+            new Array(18).fill('C'),
+        ], 18);
+        const solution = solver.solve();
+
+        assert.deepEqual(solution.contradictions, []);
+        assert.equal(solver.getProbability(0, 0), 0.5, 'the frontier has local estimates');
+        assert.ok(solution.recommendedMove);
+    });
+});
+
+describe('NeggSweeperSolver solution', () => {
+    test('lists the decisions separately and leaves the board untouched', () => {
+        const gameParser = parseFixture('easy_game');
+        const solver = new NeggSweeperSolver(gameParser.grid, gameParser.getHiddenMineCount());
+        const solution = solver.solve();
+
+        const ids = cells => cells.map(cell => cell.join('_'));
+        assert.ok(solution.safe.length > 0 && solution.mines.length > 0);
+        assert.ok(ids(solution.safe).every(id => !ids(solution.mines).includes(id)));
+        assert.equal(solution.guess, null, 'no guess while a tile is safe');
+        assert.deepEqual(solution.recommendedMove, { cell: solution.safe[0], probability: 0, guess: false });
+        assert.equal(solution.probabilities, solver.probabilities);
+        assert.equal(solution.explanations, solver.explanations);
+        assert.deepEqual(solver.grid, gameParser.grid, 'the solver\'s copy of the board is never written to');
+    });
+
+    test('recommends the guess when no tile is safe', () => {
+        const solution = new NeggSweeperSolver([
+            [1, 'C'],
+            ['C', 'C'],
+        ]).solve();
+
+        assert.deepEqual(solution.safe, []);
+        assert.deepEqual(solution.recommendedMove, { cell: [0, 1], probability: 1 / 3, guess: true });
+    });
+
+    test('never decides or recommends an unreadable tile', () => {
+        // The 1 can only be satisfied by the unreadable tile, but there may be nothing there to click or flag
+        const forced = new NeggSweeperSolver([
+            [1, '?'],
+            ['B', 'B'],
+        ]).solve();
+        assert.deepEqual(forced.mines, []);
+        assert.deepEqual(forced.contradictions, []);
+        assert.equal(forced.recommendedMove, null);
+
+        const shared = new NeggSweeperSolver([
+            ['?', 1, 'C'],
+            ['B', 'B', 'B'],
+        ]).solve();
+        assert.deepEqual(shared.recommendedMove, { cell: [0, 2], probability: 0.5, guess: true });
+    });
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { OVERLAY_THEMES, NeggSweeperOverlay } = require('../neggsweeper_core.js');
+
+describe('OVERLAY_THEMES', () => {
+    for (const [key, theme] of Object.entries(OVERLAY_THEMES)) {
+        test(`${key} marks every kind of tile differently`, () => {
+            const kinds = ['safe', 'mine', 'guess', 'conflict'];
+            kinds.forEach(kind => {
+                assert.ok(theme[kind].background && theme[kind].color && theme[kind].glyph, `${kind} is complete`);
+            });
+            assert.equal(new Set(kinds.map(kind => theme[kind].background)).size, kinds.length);
+            assert.equal(new Set(kinds.map(kind => theme[kind].glyph)).size, kinds.length);
+            assert.ok(theme.name);
+            assert.ok(theme.source.outline, 'hovered deductions outline their numbers');
+        });
+
+        test(`${key} shades low and high probabilities differently`, () => {
+            const low = theme.heat(0);
+            const high = theme.heat(1);
+            assert.notEqual(low.background, high.background);
+            assert.ok(low.color && high.color);
+        });
+    }
+});
+
+describe('NeggSweeperOverlay', () => {
+    const html = '<table bgcolor="black"><tr><td><img src="http://images.neopets.com/x/gn.gif" onclick="clickNegg(event, 0, 0)"></td><td title="own">1</td></tr></table>';
+
+    test('marks cells and clears them back to the markup the game drew', () => {
+        const { document } = new JSDOM(html).window;
+        const table = document.querySelector('table');
+        const before = table.outerHTML;
+        const [covered, number] = table.querySelectorAll('td');
+        const overlay = new NeggSweeperOverlay(table, 'test-overlay', { theme: OVERLAY_THEMES.colorBlind });
+
+        overlay.mark(covered, 'heat', { probability: 0.34, label: '34%', title: '34%' });
+        overlay.mark(number, 'safe', { title: 'safe' });
+        assert.ok(covered.classList.contains('test-overlay-heat-3'));
+        assert.equal(covered.getAttribute('data-test-overlay-label'), '34%');
+        assert.equal(covered.title, '34%');
+        assert.equal(number.title, 'own', 'a title of the game is kept');
+        assert.ok(covered.querySelector('img[onclick]'));
+        assert.match(document.getElementById('test-overlay-styles').textContent, /#56B4E9/);
+
+        overlay.clear();
+        assert.equal(table.outerHTML, before);
+    });
+
+    test('hides and shows the marks', () => {
+        const { document } = new JSDOM(html).window;
+        const table = document.querySelector('table');
+        const overlay = new NeggSweeperOverlay(table, 'test-overlay');
+        overlay.mark(table.querySelector('td'), 'mine', { blocked: true });
+
+        overlay.setVisible(false);
+        assert.equal(overlay.isVisible(), false);
+        assert.ok(table.querySelector('.test-overlay-blocked'));
+        overlay.setVisible(true);
+        assert.equal(overlay.isVisible(), true);
+        assert.equal(table.hasAttribute('class'), false);
+    });
+});
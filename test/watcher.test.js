@@ -0,0 +1,86 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { NeggSweeperBoardWatcher, NeggSweeperGrid } = require('../neggsweeper_core.js');
+const { loadFixture, loadExpected } = require('./helpers.js');
+
+/**
+ * Waits for the watcher's debounced check.
+ * @returns {Promise<void>}
+ */
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 20));
+}
+
+/**
+ * Starts a watcher on a board fixture and records every reported grid.
+ * @param {string} name Fixture name without extension.
+ * @returns {{document: Document, watcher: NeggSweeperBoardWatcher, reports: Array<Array<Array<string|number>>>}}
+ */
+function watchFixture(name) {
+    const document = loadFixture(name);
+    const reports = [];
+    const watcher = new NeggSweeperBoardWatcher(document.body, gameParser => reports.push(gameParser.grid), { debounceMs: 0 });
+    watcher.start();
+    return { document, watcher, reports };
+}
+
+describe('NeggSweeperBoardWatcher', () => {
+    test('reports the current board when started', () => {
+        const { watcher, reports } = watchFixture('easy_game');
+
+        assert.deepEqual(reports, [loadExpected('easy_game').grid]);
+        watcher.stop();
+    });
+
+    test('reports the board again once a tile changes in place', async () => {
+        const { document, watcher, reports } = watchFixture('easy_game');
+        const grid = loadExpected('easy_game').grid;
+        const r = grid.findIndex(row => row.includes('C'));
+        const c = grid[r].indexOf('C');
+
+        const gameParser = new NeggSweeperGrid(document.querySelector('table[bgcolor="black"]'));
+        gameParser.parse();
+        gameParser.getDomCell(r, c).innerHTML = '<font color="blue" size="+1"><b>1</b></font>';
+        await settle();
+
+        assert.equal(reports.length, 2);
+        assert.equal(reports[1][r][c], 1);
+        watcher.stop();
+    });
+
+    test('ignores changes that leave the board as it was', async () => {
+        const { document, watcher, reports } = watchFixture('easy_game');
+        const table = document.querySelector('table[bgcolor="black"]');
+        table.querySelectorAll('td').forEach(cell => cell.style.setProperty('background-color', 'yellow'));
+        table.appendChild(document.createComment('decoration'));
+        await settle();
+
+        assert.equal(reports.length, 1);
+        watcher.stop();
+    });
+
+    test('reports a replaced board and nothing after stopping', async () => {
+        const { document, watcher, reports } = watchFixture('easy_game');
+        const hardBoard = loadFixture('hard_game').querySelector('table[bgcolor="black"]');
+        document.querySelector('table[bgcolor="black"]').replaceWith(document.importNode(hardBoard, true));
+        await settle();
+
+        assert.equal(reports.length, 2);
+        assert.deepEqual(reports[1], loadExpected('hard_game').grid);
+
+        watcher.stop();
+        document.querySelector('table[bgcolor="black"]').remove();
+        await settle();
+        assert.equal(reports.length, 2);
+    });
+
+    test('refresh() reports the unchanged board again', () => {
+        const { watcher, reports } = watchFixture('easy_game');
+        watcher.refresh();
+
+        assert.equal(reports.length, 2);
+        watcher.stop();
+    });
+});
@@ -0,0 +1,316 @@
+/**
+ * Autoplay Runner
+ *
+ * Runs the NeggSweeper Autoplayer userscript end to end against the offline simulator.
+ * Every page is loaded into a fresh jsdom window together with the userscripts, as a script manager would,
+ * and the runner stands in for the browser: it follows form submissions back to the simulator and runs
+ * the page's timers on a virtual clock, so whole games take milliseconds instead of minutes.
+ *
+ * Userscript storage (GM_getValue / GM_setValue) is kept in memory for the whole run, so settings and session
+ * progress survive page loads as they would in a script manager.
+ *
+ * Large runs are split between worker threads, one per CPU core unless `--jobs` says otherwise.
+ *
+ * Usage: node tools/autoplay_runner.js [--games 10] [--seed 1] [--levels 1,2,3] [--interstitial-rate 0] [--jobs <cores>] [--json]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { GAME_PATH, LEVELS, NeggSweeperSimulator } = require('./neggsweeper_simulator.js');
+
+const ORIGIN = 'https://www.neopets.com';
+const ROOT_DIR = path.join(__dirname, '..');
+const USERSCRIPTS = ['neggsweeper_core.js', 'neggsweeper_autoplayer.js']; // In @require order
+
+/**
+ * Makes the named controls of every form on the page properties of the form, e.g. `form.position`, as browsers do.
+ * jsdom only offers them through `form.elements`, and the game's own page script relies on the shorthand.
+ * @param {Object} window The page's window, after parsing.
+ */
+function exposeFormControls(window) {
+    Array.from(window.document.forms).forEach(form => {
+        Array.from(form.elements).forEach(control => {
+            const name = control.getAttribute('name');
+            if (name && !(name in form)) {
+                Object.defineProperty(form, name, { configurable: true, get: () => form.elements.namedItem(name) });
+            }
+        });
+    });
+}
+
+/**
+ * Plays games with the autoplayer in jsdom against a NeggSweeperSimulator.
+ */
+class AutoplayRunner {
+    /**
+     * @param {Object} [options]
+     * @param {NeggSweeperSimulator} [options.simulator] The game server; a new one with the default seed if omitted.
+     * @param {Array<string>} [options.scripts] Userscript paths relative to the repository root, in load order.
+     * @param {number} [options.maxTimersPerPage=1000] Timer callbacks to run on one page before giving up on it.
+     * @param {number} [options.maxPagesPerGame=1000] Page loads allowed per game before the run is aborted.
+     * @param {Object<string, string>} [options.storage={}] Initial userscript storage, e.g. `{ settings: JSON.stringify({...}) }`.
+     */
+    constructor({ simulator = new NeggSweeperSimulator(), scripts = USERSCRIPTS, maxTimersPerPage = 1000, maxPagesPerGame = 1000, storage = {} } = {}) {
+        this.simulator = simulator;
+        this.storage = new Map(Object.entries(storage));
+        // Compiled once: a game takes dozens of page loads, and compiling the userscripts on each one adds up
+        this.scripts = scripts.map(file => {
+            const filename = path.join(ROOT_DIR, file);
+            return new vm.Script(fs.readFileSync(filename, 'utf8'), { filename });
+        });
+        this.maxTimersPerPage = maxTimersPerPage;
+        this.maxPagesPerGame = maxPagesPerGame;
+        this.pageLoads = 0;
+        this.errors = []; // Script errors reported by the pages
+    }
+
+    /**
+     * Plays until the simulator has recorded the requested number of finished games.
+     * @param {number} games Number of games to finish.
+     * @returns {Promise<{results: Array<Object>, pageLoads: number, errors: Array<string>, stopReason: string}>} The run report.
+     */
+    async run(games) {
+        const maxPages = games * this.maxPagesPerGame;
+        let request = { method: 'GET', path: GAME_PATH, form: {} };
+        let stopReason = 'completed';
+
+        while (this.simulator.results.length < games) {
+            if (this.pageLoads >= maxPages) {
+                stopReason = 'page limit reached';
+                break;
+            }
+            request = await this._loadPage(request);
+            if (!request) {
+                stopReason = 'autoplayer stopped';
+                break;
+            }
+        }
+
+        return { results: this.simulator.results.slice(), pageLoads: this.pageLoads, errors: this.errors.slice(), stopReason };
+    }
+
+    /**
+     * Loads one page, runs the userscripts on it and waits for them to navigate away.
+     * @param {{method: string, path: string, form: Object<string, string>}} request The request for the page.
+     * @returns {Promise<{method: string, path: string, form: Object<string, string>}|null>} The next request, or null if the page went idle.
+     * @private
+     */
+    async _loadPage(request) {
+        const page = await this.open(request);
+        const navigation = await page.runTimers(this.maxTimersPerPage);
+        page.window.close();
+        return navigation;
+    }
+
+    /**
+     * Loads one page and runs the userscripts up to the page's load event, without running any of their timers.
+     * Lets tests inspect or drive the page before the autoplayer acts.
+     * @param {{method: string, path: string, form: Object<string, string>}} request The request for the page.
+     * @returns {Promise<{window: Object, navigation: function(): Object|null, runTimers: function(number): Promise<Object|null>}>}
+     *   The page: its window, the request it has navigated to so far, and a function running up to the given number of timer callbacks.
+     */
+    async open(request) {
+        this.pageLoads++;
+        const { html } = this.simulator.handle(request);
+        let navigation = null;
+        const navigate = next => {
+            navigation = navigation || next;
+        };
+
+        const virtualConsole = new VirtualConsole();
+        virtualConsole.on('jsdomError', error => {
+            if (/navigation/i.test(error.message)) {
+                // window.location changes are not implemented by jsdom; the autoplayer only uses them to reload the game page
+                navigate({ method: 'GET', path: GAME_PATH, form: {} });
+            } else {
+                this.errors.push(error.message);
+            }
+        });
+        virtualConsole.on('error', (...args) => this.errors.push(args.map(String).join(' ')));
+
+        const timers = [];
+        let now = 0;
+        let nextTimerId = 1;
+
+        const dom = new JSDOM(html, {
+            url: ORIGIN + GAME_PATH,
+            runScripts: 'dangerously',
+            virtualConsole,
+            beforeParse: window => {
+                window.GM_getValue = (key, fallback) => (this.storage.has(key) ? this.storage.get(key) : fallback);
+                window.GM_setValue = (key, value) => {
+                    this.storage.set(key, value);
+                };
+
+                window.setTimeout = (callback, delay = 0, ...args) => {
+                    const id = nextTimerId++;
+                    timers.push({ id, time: now + Math.max(0, Number(delay) || 0), callback: () => callback(...args) });
+                    return id;
+                };
+                window.clearTimeout = id => {
+                    const index = timers.findIndex(timer => timer.id === id);
+                    if (index !== -1) timers.splice(index, 1);
+                };
+
+                // jsdom has no layout, so innerText falls back to textContent
+                Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+                    configurable: true,
+                    get() { return this.textContent; },
+                    set(value) { this.textContent = value; },
+                });
+
+                const toRequest = form => ({
+                    method: (form.getAttribute('method') || 'GET').toUpperCase(),
+                    path: new URL(form.getAttribute('action') || '', window.location.href).pathname,
+                    form: Object.fromEntries(new window.FormData(form)),
+                });
+                window.HTMLFormElement.prototype.submit = function() {
+                    navigate(toRequest(this));
+                };
+                window.addEventListener('submit', event => {
+                    event.preventDefault();
+                    navigate(toRequest(event.target));
+                }, true);
+            },
+        });
+
+        const { window } = dom;
+        exposeFormControls(window);
+        const loaded = new Promise(resolve => window.addEventListener('load', resolve));
+        const context = dom.getInternalVMContext();
+        this.scripts.forEach(script => {
+            try {
+                script.runInContext(context);
+            } catch (error) {
+                this.errors.push(`Userscript failed to load: ${error.message}`);
+            }
+        });
+        await loaded;
+
+        const runTimers = async limit => {
+            await new Promise(resolve => setImmediate(resolve)); // Lets pending MutationObserver callbacks schedule their timers
+            let callbacksRun = 0;
+            while (!navigation && timers.length > 0 && callbacksRun < limit) {
+                timers.sort((a, b) => a.time - b.time || a.id - b.id);
+                const timer = timers.shift();
+                now = timer.time;
+                callbacksRun++;
+                try {
+                    await timer.callback();
+                } catch (error) {
+                    this.errors.push(error.stack || String(error));
+                }
+            }
+            return navigation;
+        };
+
+        return { window, navigation: () => navigation, runTimers };
+    }
+}
+
+/**
+ * Summarises finished games per level.
+ * @param {Array<Object>} results Records from NeggSweeperSimulator.results.
+ * @returns {Object<string, {games: number, wins: number, winRate: number, averageRevealed: number, averageMoves: number}>} Summary keyed by level name.
+ */
+function summarize(results) {
+    const summary = {};
+    results.forEach(({ level, result, revealed, moves }) => {
+        const name = LEVELS[level].name;
+        const entry = summary[name] || (summary[name] = { games: 0, wins: 0, winRate: 0, averageRevealed: 0, averageMoves: 0 });
+        entry.games++;
+        if (result === 'won') entry.wins++;
+        entry.averageRevealed += revealed;
+        entry.averageMoves += moves;
+    });
+    Object.values(summary).forEach(entry => {
+        entry.winRate = entry.wins / entry.games;
+        entry.averageRevealed /= entry.games;
+        entry.averageMoves /= entry.games;
+    });
+    return summary;
+}
+
+/**
+ * Plays games in several worker threads at once, each with its own AutoplayRunner and simulator, and merges their reports.
+ * Each worker's simulator starts at the seed of its first game, so the run plays the same seeds as a single runner would.
+ * @param {Object} options
+ * @param {number} options.games Number of games to finish.
+ * @param {number} [options.jobs=1] Worker threads; the games are split between them as evenly as possible.
+ * @param {number} [options.seed=1] Seed of the first game.
+ * @param {number} [options.interstitialRate=0] See NeggSweeperSimulator.
+ * @param {Object<string, string>} [options.storage={}] Initial userscript storage of every worker.
+ * @returns {Promise<{results: Array<Object>, pageLoads: number, errors: Array<string>, stopReason: string}>}
+ *   The run report, as from AutoplayRunner.run(), with the results in seed order.
+ */
+async function runInWorkers({ games, jobs = 1, seed = 1, interstitialRate = 0, storage = {} }) {
+    const chunks = [];
+    for (let i = 0, first = 0; i < jobs; i++) {
+        const count = Math.floor(games / jobs) + (i < games % jobs ? 1 : 0);
+        if (count > 0) {
+            chunks.push({ games: count, seed: seed + first, interstitialRate, storage });
+        }
+        first += count;
+    }
+
+    const reports = await Promise.all(chunks.map(chunk => new Promise((resolve, reject) => {
+        const worker = new Worker(__filename, { workerData: { autoplayChunk: chunk } });
+        worker.once('message', resolve);
+        worker.once('error', reject);
+    })));
+    const incomplete = reports.find(report => report.stopReason !== 'completed');
+    return {
+        results: reports.flatMap(report => report.results),
+        pageLoads: reports.reduce((total, report) => total + report.pageLoads, 0),
+        errors: reports.flatMap(report => report.errors),
+        stopReason: incomplete ? incomplete.stopReason : 'completed',
+    };
+}
+
+module.exports = { AutoplayRunner, summarize, runInWorkers };
+
+if (!isMainThread && workerData && workerData.autoplayChunk) {
+    // A worker started by runInWorkers()
+    const { games, seed, interstitialRate, storage } = workerData.autoplayChunk;
+    new AutoplayRunner({ simulator: new NeggSweeperSimulator({ seed, interstitialRate }), storage }).run(games)
+        .then(report => parentPort.postMessage(report));
+} else if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const index = args.indexOf(`--${name}`);
+        return index === -1 ? fallback : Number(args[index + 1]);
+    };
+
+    const levelsIndex = args.indexOf('--levels');
+    const levels = levelsIndex === -1 ? ['3'] : args[levelsIndex + 1].split(',');
+    const settings = levels.length === 1
+        ? { difficultyMode: 'fixed', fixedLevel: levels[0] }
+        : { difficultyMode: 'rotate', rotationLevels: levels };
+
+    const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+    runInWorkers({
+        games: option('games', 10),
+        jobs: option('jobs', cores),
+        seed: option('seed', 1),
+        interstitialRate: option('interstitial-rate', 0),
+        storage: { settings: JSON.stringify(settings) },
+    }).then(report => {
+        if (args.includes('--json')) {
+            console.log(JSON.stringify({ ...report, summary: summarize(report.results) }, null, 2));
+        } else {
+            console.log(`Finished ${report.results.length} games in ${report.pageLoads} page loads (${report.stopReason}).`);
+            Object.entries(summarize(report.results)).forEach(([name, entry]) => {
+                console.log(`${name}: ${entry.wins}/${entry.games} won (${(entry.winRate * 100).toFixed(1)}%), `
+                    + `${entry.averageRevealed.toFixed(1)} tiles revealed, ${entry.averageMoves.toFixed(1)} moves per game`);
+            });
+            report.errors.forEach(error => console.error(`Error: ${error}`));
+        }
+        process.exitCode = report.stopReason === 'completed' && report.errors.length === 0 ? 0 : 1;
+    });
+}
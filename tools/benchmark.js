@@ -0,0 +1,186 @@
+/**
+ * Solver Benchmark
+ *
+ * Plays seeded games headlessly (no DOM) with one or more versions of NeggSweeperSolver and reports,
+ * per difficulty, the win rate, tiles revealed, guesses per game and solve time. Every solver plays the
+ * same boards, so versions can be compared side by side.
+ *
+ * A solver is given as a path to a core file or as a git revision whose neggsweeper_core.js should be used.
+ *
+ * Usage: node tools/benchmark.js [--games 100] [--seed 1] [--levels 1,2,3] [--solver <path|revision>]... [--json]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { execFileSync } = require('child_process');
+const { LEVELS, NeggSweeperGame, createRandom } = require('./neggsweeper_simulator.js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const CORE_FILE = 'neggsweeper_core.js';
+
+/**
+ * Loads NeggSweeperCore from a file, or from a git revision of the repository.
+ * @param {string} spec A path to a core file, or a git revision such as "HEAD~1".
+ * @returns {{name: string, core: Object}} The label and the loaded module.
+ */
+function loadSolver(spec) {
+    const filePath = path.resolve(ROOT_DIR, spec);
+    const source = fs.existsSync(filePath)
+        ? fs.readFileSync(filePath, 'utf8')
+        : execFileSync('git', ['show', `${spec}:${CORE_FILE}`], { cwd: ROOT_DIR, encoding: 'utf8' });
+
+    const sandbox = { module: { exports: {} }, console };
+    vm.runInNewContext(source, sandbox, { filename: `${spec}/${CORE_FILE}` });
+    return { name: spec, core: sandbox.module.exports };
+}
+
+/**
+ * Builds the grid the parser would read from the page for a game.
+ * @param {NeggSweeperGame} game The game in progress.
+ * @returns {Array<Array<string|number>>} The parsed grid: 'C', 'F', 'B' or a number.
+ */
+function toParsedGrid(game) {
+    return game.revealed.map((row, r) => row.map((isRevealed, c) => {
+        if (!isRevealed) return game.flagged[r][c] ? 'F' : 'C';
+        return (game.mines && game.adjacentMines(r, c)) || 'B';
+    }));
+}
+
+/**
+ * Picks the next tile the way GameAutomation does: a random safe tile, else the solver's guess,
+ * else the first covered tile.
+ * Solvers from before solve() returned a solution object give a grid marked with 'S', 'X' and '?' instead;
+ * those are still read so older revisions can be compared.
+ * @param {Object|Array<Array<string|number>>} solution The result of NeggSweeperSolver.solve().
+ * @param {Function} random Seeded random generator.
+ * @param {Array<Array<string|number>>} [grid] The parsed grid, to find a covered tile when the solver has no move.
+ * @returns {{cell: Array<number>, guess: boolean}|null} The move, or null if no covered tile is left.
+ */
+function chooseMove(solution, random, grid = []) {
+    if (Array.isArray(solution)) {
+        return chooseMoveFromGrid(solution, random);
+    }
+
+    if (solution.safe.length > 0) return { cell: solution.safe[Math.floor(random() * solution.safe.length)], guess: false };
+    if (solution.recommendedMove) return { cell: solution.recommendedMove.cell, guess: solution.recommendedMove.guess };
+
+    const mines = new Set(solution.mines.map(cell => cell.join('_')));
+    const firstCovered = grid.flatMap((row, r) => row.flatMap((value, c) => (value === 'C' && !mines.has(`${r}_${c}`) ? [[r, c]] : [])))[0];
+    return firstCovered ? { cell: firstCovered, guess: true } : null;
+}
+
+/**
+ * Picks the next tile from a grid marked by an older solver, see chooseMove().
+ * @param {Array<Array<string|number>>} solved The solved grid.
+ * @param {Function} random Seeded random generator.
+ * @returns {{cell: Array<number>, guess: boolean}|null} The move, or null if no covered tile is left.
+ */
+function chooseMoveFromGrid(solved, random) {
+    const safe = [];
+    let guess = null;
+    let firstCovered = null;
+    solved.forEach((row, r) => row.forEach((value, c) => {
+        if (value === 'S') safe.push([r, c]);
+        else if (value === '?') guess = [r, c];
+        else if (value === 'C' && !firstCovered) firstCovered = [r, c];
+    }));
+
+    if (safe.length > 0) return { cell: safe[Math.floor(random() * safe.length)], guess: false };
+    if (guess) return { cell: guess, guess: true };
+    return firstCovered ? { cell: firstCovered, guess: true } : null;
+}
+
+/**
+ * Plays one game to the end.
+ * @param {Object} core A loaded NeggSweeperCore.
+ * @param {string} level The `game_level` value.
+ * @param {number} seed Seed of the board.
+ * @returns {{won: boolean, revealed: number, guesses: number, moves: number, solveMs: number}} The game's statistics.
+ */
+function playGame(core, level, seed) {
+    const game = new NeggSweeperGame(level, seed);
+    const random = createRandom(seed);
+    let guesses = 0;
+    let solveMs = 0;
+
+    // The first click is always blind
+    game.reveal(Math.floor(game.size / 2), Math.floor(game.size / 2));
+    guesses++;
+
+    while (game.state === 'playing') {
+        const start = process.hrtime.bigint();
+        const grid = toParsedGrid(game);
+        const solver = new core.NeggSweeperSolver(grid, game.mineCount);
+        const solution = solver.solve();
+        solveMs += Number(process.hrtime.bigint() - start) / 1e6;
+
+        const move = chooseMove(solution, random, grid);
+        if (!move) break;
+        if (move.guess) guesses++;
+        game.reveal(move.cell[0], move.cell[1]);
+    }
+
+    return { won: game.state === 'won', revealed: game.revealedCount(), guesses, moves: game.moves, solveMs };
+}
+
+/**
+ * Runs the benchmark for one solver.
+ * @param {Object} core A loaded NeggSweeperCore.
+ * @param {Object} options
+ * @param {number} options.games Games per level.
+ * @param {number} options.seed Seed of the first game; game n uses seed + n.
+ * @param {Array<string>} options.levels `game_level` values to play.
+ * @returns {Object<string, {games: number, winRate: number, averageRevealed: number, guessesPerGame: number, solveMsPerGame: number}>} Statistics keyed by level name.
+ */
+function benchmark(core, { games, seed, levels }) {
+    const report = {};
+    levels.forEach(level => {
+        const totals = { wins: 0, revealed: 0, guesses: 0, solveMs: 0 };
+        for (let i = 0; i < games; i++) {
+            const result = playGame(core, level, seed + i);
+            totals.wins += result.won ? 1 : 0;
+            totals.revealed += result.revealed;
+            totals.guesses += result.guesses;
+            totals.solveMs += result.solveMs;
+        }
+        report[LEVELS[level].name] = {
+            games,
+            winRate: totals.wins / games,
+            averageRevealed: totals.revealed / games,
+            guessesPerGame: totals.guesses / games,
+            solveMsPerGame: totals.solveMs / games,
+        };
+    });
+    return report;
+}
+
+module.exports = { loadSolver, toParsedGrid, chooseMove, playGame, benchmark };
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const values = name => args.flatMap((arg, i) => (arg === `--${name}` ? [args[i + 1]] : []));
+    const number = (name, fallback) => (values(name).length > 0 ? Number(values(name)[0]) : fallback);
+
+    const options = {
+        games: number('games', 100),
+        seed: number('seed', 1),
+        levels: values('levels').length > 0 ? values('levels')[0].split(',') : Object.keys(LEVELS),
+    };
+    const solvers = (values('solver').length > 0 ? values('solver') : [CORE_FILE]).map(loadSolver);
+    const reports = solvers.map(({ name, core }) => ({ name, report: benchmark(core, options) }));
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify({ options, reports }, null, 2));
+    } else {
+        const rows = [['Solver', 'Level', 'Games', 'Win rate', 'Revealed', 'Guesses', 'Solve ms/game']];
+        reports.forEach(({ name, report }) => Object.entries(report).forEach(([level, stats]) => {
+            rows.push([name, level, String(stats.games), `${(stats.winRate * 100).toFixed(1)}%`,
+                stats.averageRevealed.toFixed(1), stats.guessesPerGame.toFixed(2), stats.solveMsPerGame.toFixed(1)]);
+        }));
+        const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)));
+        rows.forEach(row => console.log(row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd()));
+    }
+}
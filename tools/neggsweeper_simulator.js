@@ -0,0 +1,458 @@
+/**
+ * NeggSweeper Simulator
+ *
+ * Offline stand-in for the NeggSweeper game. It keeps the game state and renders pages with the same
+ * markup as the real game (difficulty form, grid table with gn.gif tiles, remaining counter, win/lose
+ * screens and the "Continue Playing" interstitial), so the userscripts can run against it unchanged.
+ *
+ * Boards are generated from a seed, so a run can be replayed exactly.
+ *
+ * Usage: node tools/neggsweeper_simulator.js [--port 8080] [--seed 1]
+ */
+
+'use strict';
+
+const http = require('http');
+
+const GAME_PATH = '/games/neggsweeper/neggsweeper.phtml';
+
+// Board size, bad negg count and prize per `game_level` value of the difficulty form
+const LEVELS = {
+    1: { name: 'Easy', size: 9, mines: 10, prize: 150 },
+    2: { name: 'Medium', size: 12, mines: 25, prize: 400 },
+    3: { name: 'Hard', size: 14, mines: 40, prize: 1000 },
+};
+
+const NUMBER_COLORS = ['', 'blue', 'green', 'red', 'darkblue', 'darkred', 'teal', 'black', 'gray'];
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ * @param {number} seed Any 32-bit integer.
+ * @returns {function(): number} Returns floats in [0, 1).
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * State of a single NeggSweeper game.
+ * Bad neggs are placed on the first click, away from the clicked tile, like the real game.
+ */
+class NeggSweeperGame {
+    /**
+     * @param {string|number} level The `game_level` value (1 = Easy, 2 = Medium, 3 = Hard).
+     * @param {number} seed Seed for the bad negg layout.
+     */
+    constructor(level, seed) {
+        if (!LEVELS[level]) {
+            throw new Error(`NeggSweeperGame: Unknown game level "${level}".`);
+        }
+        this.level = String(level);
+        this.seed = seed;
+        this.size = LEVELS[level].size;
+        this.mineCount = LEVELS[level].mines;
+        this.mines = null; // 2D booleans, created on the first click
+        this.revealed = this._createGrid(false);
+        this.flagged = this._createGrid(false);
+        this.state = 'playing'; // 'playing', 'won' or 'lost'
+        this.moves = 0;
+    }
+
+    /**
+     * @param {*} value Initial value of every cell.
+     * @returns {Array<Array<*>>} A size x size grid.
+     * @private
+     */
+    _createGrid(value) {
+        return Array.from({ length: this.size }, () => new Array(this.size).fill(value));
+    }
+
+    /**
+     * Places the bad neggs, keeping the first clicked tile and its neighbors clear.
+     * @param {number} firstRow Row of the first click.
+     * @param {number} firstCol Column of the first click.
+     * @private
+     */
+    _placeMines(firstRow, firstCol) {
+        const random = createRandom(this.seed);
+        this.mines = this._createGrid(false);
+        let placed = 0;
+        while (placed < this.mineCount) {
+            const r = Math.floor(random() * this.size);
+            const c = Math.floor(random() * this.size);
+            if (this.mines[r][c] || (Math.abs(r - firstRow) <= 1 && Math.abs(c - firstCol) <= 1)) continue;
+            this.mines[r][c] = true;
+            placed++;
+        }
+    }
+
+    /**
+     * @param {number} r Row index.
+     * @param {number} c Column index.
+     * @returns {Array<Array<number>>} The [row, col] pairs of the neighbors inside the board.
+     */
+    neighbors(r, c) {
+        const neighbors = [];
+        for (let dr = -1; dr <= 1; dr++) {
+            for (let dc = -1; dc <= 1; dc++) {
+                const nr = r + dr;
+                const nc = c + dc;
+                if ((dr !== 0 || dc !== 0) && nr >= 0 && nr < this.size && nc >= 0 && nc < this.size) {
+                    neighbors.push([nr, nc]);
+                }
+            }
+        }
+        return neighbors;
+    }
+
+    /**
+     * @param {number} r Row index.
+     * @param {number} c Column index.
+     * @returns {number} Bad neggs around the cell.
+     */
+    adjacentMines(r, c) {
+        return this.neighbors(r, c).filter(([nr, nc]) => this.mines[nr][nc]).length;
+    }
+
+    /**
+     * @returns {number} Flags currently placed.
+     */
+    flagCount() {
+        return this.flagged.reduce((count, row) => count + row.filter(Boolean).length, 0);
+    }
+
+    /**
+     * @returns {number} The value of the game's counter: bad neggs minus flags.
+     */
+    remaining() {
+        return this.mineCount - this.flagCount();
+    }
+
+    /**
+     * Uncovers a tile. Blank tiles open their neighbors, like the real game.
+     * @param {number} r Row index.
+     * @param {number} c Column index.
+     */
+    reveal(r, c) {
+        if (this.state !== 'playing' || this.revealed[r][c] || this.flagged[r][c]) return;
+        if (!this.mines) this._placeMines(r, c);
+        this.moves++;
+
+        if (this.mines[r][c]) {
+            this.state = 'lost';
+            return;
+        }
+
+        const stack = [[r, c]];
+        while (stack.length > 0) {
+            const [cr, cc] = stack.pop();
+            if (this.revealed[cr][cc]) continue;
+            this.revealed[cr][cc] = true;
+            this.flagged[cr][cc] = false;
+            if (this.adjacentMines(cr, cc) === 0) {
+                this.neighbors(cr, cc).forEach(([nr, nc]) => {
+                    if (!this.revealed[nr][nc]) stack.push([nr, nc]);
+                });
+            }
+        }
+
+        const covered = this.revealed.reduce((count, row) => count + row.filter(value => !value).length, 0);
+        if (covered === this.mineCount) {
+            this.state = 'won';
+        }
+    }
+
+    /**
+     * Adds or removes a flag on a covered tile.
+     * @param {number} r Row index.
+     * @param {number} c Column index.
+     */
+    toggleFlag(r, c) {
+        if (this.state !== 'playing' || this.revealed[r][c]) return;
+        this.flagged[r][c] = !this.flagged[r][c];
+    }
+
+    /**
+     * @returns {number} Tiles uncovered so far.
+     */
+    revealedCount() {
+        return this.revealed.reduce((count, row) => count + row.filter(Boolean).length, 0);
+    }
+}
+
+/**
+ * Renders the pages of the game with the same markup as neopets.com.
+ */
+class NeggSweeperPages {
+    /**
+     * @param {string} body Page content.
+     * @param {string} [head] Extra markup for the <head>.
+     * @returns {string} A complete HTML page.
+     */
+    static layout(body, head = '') {
+        return `<!DOCTYPE html>
+<html>
+<head>
+<title>Neopets - NeggSweeper</title>
+${head}</head>
+<body>
+<div id="content">
+<div align="center">
+<b>NeggSweeper</b><br><br>
+${body}
+</div>
+</div>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * @param {string} selectedLevel The level selected by default.
+     * @returns {string} The difficulty form with the "Play Again!!!" button.
+     */
+    static difficultyForm(selectedLevel = '1') {
+        const options = Object.entries(LEVELS)
+            .map(([value, { name }]) => `<option value="${value}"${value === String(selectedLevel) ? ' selected' : ''}>${name}</option>`)
+            .join('\n');
+        return `<form action="${GAME_PATH}" method="post">
+<b>Select a difficulty:</b>
+<select name="game_level">
+${options}
+</select>
+<input type="submit" value="Play Again!!!">
+</form>`;
+    }
+
+    /**
+     * Renders the board table.
+     * @param {NeggSweeperGame} game The game to render.
+     * @param {boolean} showNeggs Whether to uncover everything (game over screens).
+     * @returns {string} The game table.
+     */
+    static board(game, showNeggs) {
+        const cell = (r, c) => {
+            const attributes = 'width="30" height="30" align="center"';
+            if (showNeggs && game.mines && game.mines[r][c]) {
+                return `<td ${attributes}><img src="https://images.neopets.com/x/badnegg.gif" width="30" height="30" border="0" alt=""></td>`;
+            }
+            if (showNeggs || game.revealed[r][c]) {
+                const count = game.mines ? game.adjacentMines(r, c) : 0;
+                return count === 0
+                    ? `<td ${attributes}>&nbsp;</td>`
+                    : `<td ${attributes}><font color="${NUMBER_COLORS[count]}" size="+1"><b>${count}</b></font></td>`;
+            }
+            const image = game.flagged[r][c] ? 'gn_flag.gif' : 'gn.gif';
+            return `<td ${attributes}><img src="https://images.neopets.com/x/${image}" width="30" height="30" border="0" alt="" style="cursor: pointer;" onclick="clickNegg(event, ${r}, ${c});"></td>`;
+        };
+
+        const rows = [];
+        for (let r = 0; r < game.size; r++) {
+            const cells = [];
+            for (let c = 0; c < game.size; c++) {
+                cells.push(cell(r, c));
+            }
+            rows.push(`<tr bgcolor="white">${cells.join('')}</tr>`);
+        }
+
+        return `<table bgcolor="black" cellpadding="0" cellspacing="1" border="0">
+<tbody>
+<tr bgcolor="silver"><td colspan="${game.size}" align="center">
+<table bgcolor="black" cellpadding="3" cellspacing="1" border="0" width="100%">
+<tbody>
+<tr bgcolor="white"><td align="center"><b>${showNeggs ? 0 : game.remaining()}</b></td><td align="center"><b>${LEVELS[game.level].name}</b></td></tr>
+</tbody>
+</table>
+</td></tr>
+${rows.join('\n')}
+</tbody>
+</table>`;
+    }
+
+    /**
+     * @returns {string} The first page, asking for a difficulty.
+     */
+    static difficultySelection() {
+        return NeggSweeperPages.layout(`Find all the good neggs without touching a bad one! The harder the level, the bigger the prize.<br><br>
+${NeggSweeperPages.difficultyForm()}`);
+    }
+
+    /**
+     * @param {NeggSweeperGame} game The game in progress.
+     * @returns {string} The gameplay page.
+     */
+    static game(game) {
+        const script = `<script type="text/javascript">
+function clickNegg(e, row, col) {
+    var form = document.forms['neggsweeper'];
+    form.position.value = row + '-' + col;
+    form.flag.value = (e && e.ctrlKey) ? '1' : '0';
+    form.submit();
+}
+</script>
+`;
+        return NeggSweeperPages.layout(`<b>Hold down the CONTROL key while clicking on a negg to add or remove a flag!</b><br><br>
+<form name="neggsweeper" action="neggsweeper.phtml" method="post">
+<input type="hidden" name="position" value="">
+<input type="hidden" name="flag" value="0">
+</form>
+${NeggSweeperPages.board(game, false)}`, script);
+    }
+
+    /**
+     * @param {NeggSweeperGame} game The finished game.
+     * @returns {string} The win or lose screen, with the uncovered board and the difficulty form.
+     */
+    static gameOver(game) {
+        const message = game.state === 'won'
+            ? `<font size="+2" color="green"><b>You Win!!!</b></font><br><br>
+<b>You have won ${LEVELS[game.level].prize} NP!</b>`
+            : `<font size="+2" color="red"><b>You Lose!!!</b></font><br><br>
+You touched a bad negg. Better luck next time!`;
+        return NeggSweeperPages.layout(`${message}<br><br>
+${NeggSweeperPages.board(game, true)}<br><br>
+${NeggSweeperPages.difficultyForm(game.level)}`);
+    }
+
+    /**
+     * @returns {string} The interstitial shown when coming back to a game in progress.
+     */
+    static continuePlaying() {
+        return NeggSweeperPages.layout(`You have a game in progress. Would you like to pick up where you left off?<br><br>
+<form method="post" action="neggsweeper.phtml">
+<input type="submit" value="Continue Playing">
+</form>`);
+    }
+}
+
+/**
+ * Answers page requests the way the NeggSweeper server does, for one player.
+ */
+class NeggSweeperSimulator {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.seed=1] Seed of the first game; game n uses seed + n.
+     * @param {number} [options.interstitialRate=0] Chance that a move answers with the "Continue Playing" page instead of the board.
+     */
+    constructor({ seed = 1, interstitialRate = 0 } = {}) {
+        this.seed = seed;
+        this.interstitialRate = interstitialRate;
+        this.random = createRandom(seed ^ 0x5F3759DF); // Separate stream for interstitials so boards do not depend on them
+        this.game = null;
+        this.gamesStarted = 0;
+        this.results = []; // One record per finished game
+    }
+
+    /**
+     * Handles a request and returns the page to show.
+     * @param {Object} request
+     * @param {string} [request.method='GET'] 'GET' or 'POST'.
+     * @param {string} [request.path] Requested path; only the NeggSweeper page exists.
+     * @param {Object<string, string>} [request.form={}] Submitted form fields.
+     * @returns {{status: number, html: string}} The response.
+     */
+    handle({ method = 'GET', path = GAME_PATH, form = {} } = {}) {
+        if (path.split('?')[0] !== GAME_PATH) {
+            return { status: 404, html: NeggSweeperPages.layout('Page not found.') };
+        }
+
+        if (method === 'POST' && form.game_level !== undefined) {
+            return { status: 200, html: this._startGame(form.game_level) };
+        }
+
+        if (!this.game || this.game.state !== 'playing') {
+            return { status: 200, html: NeggSweeperPages.difficultySelection() };
+        }
+
+        if (method === 'POST' && form.position) {
+            const [r, c] = form.position.split('-').map(Number);
+            if (form.flag === '1') {
+                this.game.toggleFlag(r, c);
+            } else {
+                this.game.reveal(r, c);
+            }
+
+            if (this.game.state !== 'playing') {
+                this._recordResult();
+                return { status: 200, html: NeggSweeperPages.gameOver(this.game) };
+            }
+            if (this.random() < this.interstitialRate) {
+                return { status: 200, html: NeggSweeperPages.continuePlaying() };
+            }
+            return { status: 200, html: NeggSweeperPages.game(this.game) };
+        }
+
+        // Coming back to a game in progress: POST from the interstitial shows the board, anything else the interstitial
+        return { status: 200, html: method === 'POST' ? NeggSweeperPages.game(this.game) : NeggSweeperPages.continuePlaying() };
+    }
+
+    /**
+     * @param {string} level The `game_level` value.
+     * @returns {string} The first page of the new game.
+     * @private
+     */
+    _startGame(level) {
+        if (!LEVELS[level]) {
+            return NeggSweeperPages.difficultySelection();
+        }
+        this.game = new NeggSweeperGame(level, this.seed + this.gamesStarted);
+        this.game.startedAt = Date.now();
+        this.gamesStarted++;
+        return NeggSweeperPages.game(this.game);
+    }
+
+    /**
+     * Stores the outcome of the current game in `this.results`.
+     * @private
+     */
+    _recordResult() {
+        this.results.push({
+            level: this.game.level,
+            seed: this.game.seed,
+            result: this.game.state,
+            moves: this.game.moves,
+            revealed: this.game.revealedCount(),
+            flags: this.game.flagCount(),
+            durationMs: Date.now() - this.game.startedAt,
+        });
+    }
+}
+
+/**
+ * Serves a simulator over HTTP, for trying the game in a browser.
+ * @param {NeggSweeperSimulator} simulator The simulator to serve.
+ * @returns {http.Server} The (not yet listening) server.
+ */
+function createServer(simulator) {
+    return http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const form = Object.fromEntries(new URLSearchParams(body));
+            const { status, html } = simulator.handle({ method: req.method, path: req.url, form });
+            res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(html);
+        });
+    });
+}
+
+module.exports = { GAME_PATH, LEVELS, createRandom, NeggSweeperGame, NeggSweeperPages, NeggSweeperSimulator, createServer };
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const index = args.indexOf(`--${name}`);
+        return index === -1 ? fallback : Number(args[index + 1]);
+    };
+    const port = option('port', 8080);
+    createServer(new NeggSweeperSimulator({ seed: option('seed', 1) })).listen(port, () => {
+        console.log(`NeggSweeper Simulator: http://localhost:${port}${GAME_PATH}`);
+    });
+}